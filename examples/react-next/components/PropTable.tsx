@@ -4,7 +4,15 @@ import * as React from 'react';
 import Markdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 
-import {InterfaceNode, MethodNode, PropertyNode, Node, ComponentNode, GeneratedDocs} from '@faulty/ts-docs-node-types';
+import {
+  InterfaceNode,
+  MethodNode,
+  PropertyNode,
+  Node,
+  ComponentNode,
+  DiscriminatedUnionNode,
+  GeneratedDocs,
+} from '@faulty/ts-docs-node-types';
 import {Type, TypeContext} from '@faulty/ts-docs-type-renderer/react';
 
 import styles from './PropTable.module.css';
@@ -61,6 +69,62 @@ export function PropTable(props: PropTableProps) {
   );
 }
 
+interface VariantTabsProps {
+  props: DiscriminatedUnionNode;
+}
+
+/**
+ * Shows the props specific to each variant of a discriminated union, with a
+ * tab for every value of the discriminant.
+ */
+export function VariantTabs(props: VariantTabsProps) {
+  const {props: union} = props;
+  const [selected, setSelected] = React.useState(0);
+  const variant = union.variants[selected];
+
+  return (
+    <div>
+      <div className={styles.tabList} role="tablist">
+        {union.variants.map((variant, index) => (
+          <button
+            key={index}
+            className={styles.tab}
+            role="tab"
+            aria-selected={index === selected}
+            onClick={() => setSelected(index)}>
+            <code>
+              {union.discriminant}: <Type type={variant.value} />
+            </code>
+          </button>
+        ))}
+      </div>
+      <div role="tabpanel">
+        {variant.description != null ? <Markdown remarkPlugins={[remarkGfm]}>{variant.description}</Markdown> : null}
+        <PropTable properties={getVisibleProperties(variant.properties)} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Return the public properties from `properties`, sorted so that required
+ * ones are shown first, then alphabetically.
+ */
+function getVisibleProperties(properties: Record<string, PropertyNode | MethodNode>) {
+  const visible = Object.values(properties).filter(
+    (prop: Node) => prop.access !== 'private' && prop.access !== 'protected',
+  );
+
+  visible.sort((a, b) => {
+    const alphabetic = a.name.localeCompare(b.name);
+    const required = !a.optional && b.optional ? -1 : a.optional && !b.optional ? 1 : 0;
+
+    return required === 0 ? alphabetic : required;
+  });
+
+  return visible;
+}
+
 interface ComponentAPIProps {
   docs: GeneratedDocs;
   /**
@@ -79,17 +143,18 @@ export function ComponentAPI(props: ComponentAPIProps) {
 
   const {props: propsInterface} = component;
 
-  const properties = Object.values((propsInterface as InterfaceNode).properties).filter(
-    (prop: Node) => prop.access !== 'private' && prop.access !== 'protected',
-  ) as Array<PropertyNode | MethodNode>;
-
-  // Sort props so required ones are shown first, then alphabetically
-  properties.sort((a, b) => {
-    const alphabetic = a.name.localeCompare(b.name);
-    const required = !a.optional && b.optional ? -1 : a.optional && !b.optional ? 1 : 0;
+  // Props with a discriminant are shown as the props shared by every
+  // variant, followed by a tab for the props of each variant.
+  if (propsInterface?.type === 'discriminatedUnion') {
+    return (
+      <TypeContext.Provider value={links}>
+        <PropTable properties={getVisibleProperties(propsInterface.properties)} />
+        <VariantTabs props={propsInterface} />
+      </TypeContext.Provider>
+    );
+  }
 
-    return required === 0 ? alphabetic : required;
-  });
+  const properties = getVisibleProperties((propsInterface as InterfaceNode).properties);
 
   return (
     <TypeContext.Provider value={links}>
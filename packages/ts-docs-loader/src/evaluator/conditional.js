@@ -0,0 +1,277 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').ConditionalNode} ConditionalNode
+ * @typedef {import('./nodeResolver')} NodeResolver
+ *
+ * The result of checking whether one type extends another. `null` means the
+ * answer can't be known, like when either side is an unresolved type
+ * parameter.
+ * @typedef {boolean | null} MatchResult
+ *
+ * @typedef {Record<string, Node>} Bindings
+ */
+
+const {isAssignable} = require('./exclude');
+const substitute = require('./substitute');
+
+const PRIMITIVE_TYPES = ['string', 'number', 'boolean', 'symbol', 'null', 'undefined', 'void'];
+const OBJECT_TYPES = ['interface', 'object'];
+const ARRAY_NAMES = ['Array', 'ReadonlyArray'];
+
+/**
+ * Follow links and aliases to the type they represent. Unlike
+ * `NodeResolver.resolveValue`, applications are kept intact, since their
+ * type arguments matter when matching something like `Promise<infer U>`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} node
+ * @returns {Node}
+ */
+function resolve(resolver, node) {
+  if (node.type === 'link') {
+    const resolved = resolver.resolveLink(node.id);
+    return resolved != null ? resolve(resolver, resolved) : node;
+  }
+
+  if (node.type === 'alias') {
+    return resolve(resolver, node.value);
+  }
+
+  // Names and modifiers of tuple elements don't affect matching here.
+  if (node.type === 'tupleElement') {
+    return resolve(resolver, node.value);
+  }
+
+  return node;
+}
+
+/**
+ * @param {NodeResolver} resolver
+ * @param {Node} node
+ * @returns {Node[]}
+ */
+function getUnionElements(resolver, node) {
+  const resolved = resolve(resolver, node);
+  if (resolved.type !== 'union') return [resolved];
+
+  return resolved.elements.flatMap((element) => getUnionElements(resolver, element));
+}
+
+/**
+ * If `node` is an array type, either `T[]` or `Array<T>`, return the type of
+ * its elements.
+ *
+ * @param {Node} node
+ * @returns {Node | null}
+ */
+function getArrayElementType(node) {
+  if (node.type === 'array') return node.elementType;
+  if (
+    node.type === 'application' &&
+    node.base.type === 'identifier' &&
+    ARRAY_NAMES.includes(node.base.name) &&
+    node.typeParameters.length === 1
+  ) {
+    return node.typeParameters[0];
+  }
+
+  return null;
+}
+
+/**
+ * Combine the results of matching multiple parts of a type, where every part
+ * must match for the whole to match.
+ *
+ * @param {MatchResult[]} results
+ * @returns {MatchResult}
+ */
+function every(results) {
+  if (results.includes(false)) return false;
+  if (results.includes(null)) return null;
+  return true;
+}
+
+/**
+ * Build the simplest type representing all of `elements`, dropping `never`
+ * and any duplicates along the way.
+ *
+ * @param {Node[]} elements
+ * @returns {Node}
+ */
+function toUnion(elements) {
+  /** @type {Map<string, Node>} */
+  const unique = new Map();
+  for (const element of elements.flatMap((element) => (element.type === 'union' ? element.elements : [element]))) {
+    if (element.type === 'never') continue;
+    unique.set(JSON.stringify(element), element);
+  }
+
+  const result = [...unique.values()];
+  if (result.length === 0) return {type: 'never'};
+  if (result.length === 1) return result[0];
+
+  return {type: 'union', elements: result};
+}
+
+/**
+ * Determine whether `source` extends `target`, binding any `infer` types in
+ * `target` to the matching part of `source` in `bindings`.
+ *
+ * This is a loose approximation of TypeScript's assignability rules that
+ * covers the patterns commonly used in conditional types: primitives and
+ * literals, arrays and tuples, function signatures, generic applications,
+ * and object shapes.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} source
+ * @param {Node} target
+ * @param {Bindings} bindings
+ * @returns {MatchResult}
+ */
+function matches(resolver, source, target, bindings) {
+  if (target.type === 'infer') {
+    const {name, constraint} = target.typeParameter;
+    if (constraint != null) {
+      const result = matches(resolver, source, constraint, bindings);
+      if (result !== true) return result;
+    }
+
+    bindings[name] = bindings[name] != null ? toUnion([bindings[name], source]) : source;
+    return true;
+  }
+
+  source = resolve(resolver, source);
+  target = resolve(resolver, target);
+
+  if (target.type === 'any' || target.type === 'unknown') return true;
+  if (source.type === 'never') return true;
+  // `any` matches both branches, which isn't worth representing.
+  if (source.type === 'any') return null;
+
+  if (resolver.isSymbolic(source) || resolver.isSymbolic(target)) {
+    if (source.type === 'identifier' && target.type === 'identifier' && source.name === target.name) return true;
+    return null;
+  }
+
+  if (source.type === 'union') {
+    return every(source.elements.map((element) => matches(resolver, element, target, bindings)));
+  }
+
+  if (target.type === 'union') {
+    let unknown = false;
+    for (const element of target.elements) {
+      /** @type {Bindings} */
+      const elementBindings = {...bindings};
+      const result = matches(resolver, source, element, elementBindings);
+      if (result === true) {
+        Object.assign(bindings, elementBindings);
+        return true;
+      }
+      if (result == null) unknown = true;
+    }
+
+    return unknown ? null : false;
+  }
+
+  const targetElementType = getArrayElementType(target);
+  if (targetElementType != null) {
+    const sourceElementType = getArrayElementType(source);
+    if (sourceElementType != null) return matches(resolver, sourceElementType, targetElementType, bindings);
+    if (source.type === 'tuple') return matches(resolver, toUnion(source.elements), targetElementType, bindings);
+    return false;
+  }
+
+  if (target.type === 'tuple') {
+    if (source.type !== 'tuple' || source.elements.length !== target.elements.length) return false;
+    return every(source.elements.map((element, i) => matches(resolver, element, target.elements[i], bindings)));
+  }
+
+  if (target.type === 'function') {
+    if (source.type !== 'function') return false;
+
+    /** @type {MatchResult[]} */
+    const results = target.parameters.map((parameter, i) => {
+      // `(...args: infer P) => any` collects all of the remaining parameters.
+      if (parameter.rest) {
+        const rest = source.parameters.slice(i).map((sourceParameter) => sourceParameter.value);
+        return matches(resolver, {type: 'tuple', elements: rest}, parameter.value, bindings);
+      }
+
+      const sourceParameter = source.parameters[i];
+      if (sourceParameter == null) return true;
+      return matches(resolver, sourceParameter.value, parameter.value, bindings);
+    });
+    results.push(matches(resolver, source.return, target.return, bindings));
+
+    return every(results);
+  }
+
+  if (target.type === 'application') {
+    if (source.type !== 'application') return PRIMITIVE_TYPES.includes(source.type) ? false : null;
+    if (JSON.stringify(source.base) !== JSON.stringify(target.base)) return false;
+    if (source.typeParameters.length !== target.typeParameters.length) return null;
+
+    return every(source.typeParameters.map((arg, i) => matches(resolver, arg, target.typeParameters[i], bindings)));
+  }
+
+  if (OBJECT_TYPES.includes(target.type) && 'properties' in target && target.properties != null) {
+    if (!OBJECT_TYPES.includes(source.type) || !('properties' in source) || source.properties == null) {
+      return false;
+    }
+
+    const sourceProperties = source.properties;
+    return every(
+      Object.entries(target.properties).map(([name, property]) => {
+        const sourceProperty = sourceProperties[name];
+        if (sourceProperty == null) return property.optional;
+        if (sourceProperty.type !== 'property' || property.type !== 'property') return null;
+        return matches(resolver, sourceProperty.value, property.value, bindings);
+      }),
+    );
+  }
+
+  // The `object` keyword accepts anything that isn't a primitive.
+  if (target.type === 'object') return !PRIMITIVE_TYPES.includes(source.type);
+
+  return isAssignable(source, target);
+}
+
+/**
+ * Evaluate a conditional type like `T extends Array<infer U> ? U : never`,
+ * choosing the branch that applies and substituting any `infer` types from
+ * the `extends` clause into it.
+ *
+ * When the conditional is distributive, `distributed` gives the name and
+ * value of its check type parameter. Each member of a union value is then
+ * checked separately, and the results are combined back into a union.
+ *
+ * After substitution, `evaluate` is called on the chosen branch to give the
+ * linker a chance to evaluate the resulting type. Returns null if any check
+ * can't be decided.
+ *
+ * @param {NodeResolver} resolver
+ * @param {ConditionalNode} conditional
+ * @param {(node: Node) => Node} evaluate
+ * @param {{name: string, value: Node} | null} distributed
+ * @returns {Node | null}
+ */
+module.exports = function performConditional(resolver, conditional, evaluate, distributed = null) {
+  const checks = distributed != null ? getUnionElements(resolver, distributed.value) : [conditional.checkType];
+
+  /** @type {Node[]} */
+  const results = [];
+  for (const check of checks) {
+    // Distributing over `never` is an empty union, so the result is `never`.
+    if (distributed != null && check.type === 'never') continue;
+
+    /** @type {Bindings} */
+    const bindings = distributed != null ? {[distributed.name]: check} : {};
+    const result = matches(resolver, check, conditional.extendsType, bindings);
+    if (result == null) return null;
+
+    const branch = result ? conditional.trueType : conditional.falseType;
+    results.push(evaluate(substitute(branch, bindings)));
+  }
+
+  return toUnion(results);
+};
@@ -0,0 +1,111 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').UnionNode} UnionNode
+ * @typedef {import('@faulty/ts-docs-node-types').DiscriminatedUnionNode} DiscriminatedUnionNode
+ * @typedef {import('@faulty/ts-docs-node-types').PropertyNode | import('@faulty/ts-docs-node-types').MethodNode} PropertyOrMethodNode
+ * @typedef {import('./nodeResolver')} NodeResolver
+ */
+
+const {isDeepStrictEqual} = require('util');
+
+const mergeExtensions = require('./extends');
+
+const OBJECT_TYPES = ['interface', 'object'];
+const LITERAL_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Return the literal value of `property` if it can discriminate between the
+ * members of a union, like `'link'` in `{variant: 'link'}`. Otherwise, null.
+ *
+ * @param {NodeResolver} resolver
+ * @param {PropertyOrMethodNode | undefined} property
+ * @returns {Node | null}
+ */
+function getDiscriminantValue(resolver, property) {
+  if (property?.type !== 'property' || property.optional) return null;
+
+  const value = resolver.resolveValue(property.value);
+  if (!LITERAL_TYPES.includes(value.type) || !('value' in value) || value.value == null) return null;
+
+  return value;
+}
+
+/**
+ * Analyze a union of object types like
+ * `{variant: 'link', href: string} | {variant: 'button', onClick(): void}`,
+ * finding a property with a different literal value in every member that
+ * can be used to tell them apart. The result separates the properties that
+ * every member shares from the ones specific to each variant.
+ *
+ * Returns null if any member isn't an object type, or if there's no
+ * discriminant property.
+ *
+ * @param {NodeResolver} resolver
+ * @param {UnionNode} union
+ * @returns {DiscriminatedUnionNode | null}
+ */
+module.exports = function performDiscriminatedUnion(resolver, union) {
+  const members = resolver.resolveUnionElements(union).map((element) => resolver.resolveValue(element));
+  if (members.length < 2) return null;
+
+  /** @type {Array<Record<string, PropertyOrMethodNode>>} */
+  const memberProperties = [];
+  for (const member of members) {
+    if (!OBJECT_TYPES.includes(member.type)) return null;
+
+    const merged = mergeExtensions(member);
+    if (!('properties' in merged) || merged.properties == null) return null;
+    memberProperties.push(merged.properties);
+  }
+
+  const [first, ...rest] = memberProperties;
+  const discriminant = Object.keys(first).find((key) => {
+    const values = memberProperties.map((properties) => getDiscriminantValue(resolver, properties[key]));
+    if (values.some((value) => value == null)) return false;
+
+    // Every member needs its own value to be told apart from the others.
+    return values.every((value, i) => values.findIndex((other) => isDeepStrictEqual(other, value)) === i);
+  });
+  if (discriminant == null) return null;
+
+  /** @type {Record<string, PropertyOrMethodNode>} */
+  const properties = {};
+  for (const [key, property] of Object.entries(first)) {
+    if (key === discriminant) continue;
+
+    // Shared properties have the same type in every member. Their docs and
+    // locations can still differ, so only the types are compared.
+    const isShared = rest.every(
+      (other) =>
+        other[key] != null &&
+        other[key].type === property.type &&
+        other[key].optional === property.optional &&
+        isDeepStrictEqual(other[key].value, property.value),
+    );
+    if (isShared) {
+      properties[key] = property;
+    }
+  }
+
+  return {
+    type: 'discriminatedUnion',
+    discriminant,
+    properties,
+    variants: memberProperties.map((member) => {
+      /** @type {Record<string, PropertyOrMethodNode>} */
+      const variantProperties = {};
+      for (const [key, property] of Object.entries(member)) {
+        if (key !== discriminant && properties[key] == null) {
+          variantProperties[key] = property;
+        }
+      }
+
+      return {
+        value: /** @type {Node} */ (getDiscriminantValue(resolver, member[discriminant])),
+        description: member[discriminant].description ?? null,
+        properties: variantProperties,
+      };
+    }),
+    elements: union.elements,
+  };
+};
@@ -0,0 +1,133 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('./nodeResolver')} NodeResolver
+ */
+
+const PRIMITIVE_TYPES = ['string', 'number', 'boolean'];
+const NULLISH_TYPES = ['null', 'undefined'];
+
+/**
+ * Return a flat list of the distinct types that make up `type`. `boolean` is
+ * expanded to `true | false` so that either half can be filtered out, just
+ * like TypeScript does.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} type
+ * @returns {Node[]}
+ */
+function getConstituents(resolver, type) {
+  return resolver.resolveUnionElements(resolver.resolveValue(type)).flatMap((element) => {
+    if (element.type === 'boolean' && element.value == null) {
+      return [
+        {type: 'boolean', value: 'true'},
+        {type: 'boolean', value: 'false'},
+      ];
+    }
+
+    return [element];
+  });
+}
+
+/**
+ * Build the simplest type representing all of `elements`: `never` when
+ * empty, the element itself when there is only one, and a union otherwise.
+ * If both halves of an expanded `boolean` remain, they are collapsed back
+ * into a single `boolean`.
+ *
+ * @param {Node[]} elements
+ * @returns {Node}
+ */
+function toUnion(elements) {
+  const isBooleanLiteral = (/** @type {Node} */ element) => element.type === 'boolean' && element.value != null;
+  if (elements.filter(isBooleanLiteral).length === 2) {
+    const index = elements.findIndex(isBooleanLiteral);
+    elements = elements.filter((element) => !isBooleanLiteral(element));
+    elements.splice(index, 0, {type: 'boolean'});
+  }
+
+  if (elements.length === 0) return {type: 'never'};
+  if (elements.length === 1) return elements[0];
+
+  return {type: 'union', elements};
+}
+
+/**
+ * A very loose approximation of TypeScript's assignability check, only
+ * intended to handle the kinds of types that are commonly filtered out of
+ * unions: literals, primitives, and nullish values. Anything more complex
+ * is only considered assignable if it is structurally identical.
+ *
+ * @param {Node} source
+ * @param {Node} target
+ * @returns {boolean}
+ */
+function isAssignable(source, target) {
+  if (target.type === 'any' || target.type === 'unknown') return true;
+  if (source.type === 'never') return true;
+  if (source.type !== target.type) return false;
+
+  if (PRIMITIVE_TYPES.includes(target.type)) {
+    // `string` accepts any string literal, but `'a'` only accepts itself.
+    // @ts-expect-error `value` is guaranteed by the type check above.
+    return target.value == null || source.value === target.value;
+  }
+
+  return JSON.stringify(source) === JSON.stringify(target);
+}
+
+/**
+ * Perform TypeScript's `Exclude` utility, removing every member of `base`
+ * that is assignable to `excluded`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @param {Node} excluded
+ * @returns {Node}
+ */
+function performExclude(resolver, base, excluded) {
+  const targets = getConstituents(resolver, excluded);
+  const elements = getConstituents(resolver, base).filter(
+    (element) => !targets.some((target) => isAssignable(element, target)),
+  );
+
+  return toUnion(elements);
+}
+
+/**
+ * Perform TypeScript's `Extract` utility, keeping only the members of `base`
+ * that are assignable to `extracted`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @param {Node} extracted
+ * @returns {Node}
+ */
+function performExtract(resolver, base, extracted) {
+  const targets = getConstituents(resolver, extracted);
+  const elements = getConstituents(resolver, base).filter((element) =>
+    targets.some((target) => isAssignable(element, target)),
+  );
+
+  return toUnion(elements);
+}
+
+/**
+ * Perform TypeScript's `NonNullable` utility, removing `null` and `undefined`
+ * from `base`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @returns {Node}
+ */
+function performNonNullable(resolver, base) {
+  const elements = getConstituents(resolver, base).filter((element) => !NULLISH_TYPES.includes(element.type));
+
+  return toUnion(elements);
+}
+
+module.exports = {
+  isAssignable,
+  performExclude,
+  performExtract,
+  performNonNullable,
+};
@@ -14,7 +14,8 @@ module.exports = function mergeExtensions(base) {
   // If it's a proxy type, like a type alias or a generic type, just get the base type.
   if (base.type === 'application') {
     base = base.base;
-  } else if (base.type === 'alias') {
+  }
+  if (base.type === 'alias') {
     base = base.value;
   }
 
@@ -36,6 +37,10 @@ module.exports = function mergeExtensions(base) {
     const merged = mergeExtensions(ext);
     if (merged.type === 'interface') {
       merge(properties, merged.properties, ext.id);
+    } else if (merged.type === 'object' && merged.properties != null) {
+      // Object types come from aliases, like `extends Options<Item>`, which
+      // are where the properties are declared.
+      merge(properties, merged.properties, ext.type === 'application' ? ext.base.id : ext.id);
     } else {
       exts.push(merged);
     }
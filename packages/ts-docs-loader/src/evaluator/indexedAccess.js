@@ -0,0 +1,47 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('./nodeResolver')} NodeResolver
+ */
+
+const INDEXABLE_TYPES = ['interface', 'object'];
+
+/**
+ * Perform an indexed access type like `Props['color']`, returning the type of
+ * the named property from `objectType`. If the index is a union of keys, the
+ * result is a union of each property's type. Array element types can also be
+ * accessed with `number`.
+ *
+ * Returns null if the access can't be resolved, for example if the object
+ * type is unknown or the index isn't a literal.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} objectType
+ * @param {Node} indexType
+ * @returns {Node | null}
+ */
+module.exports = function performIndexedAccess(resolver, objectType, indexType) {
+  const object = resolver.resolveValue(objectType);
+  const index = resolver.resolveValue(indexType);
+
+  if (object.type === 'array' && index.type === 'number') {
+    return object.elementType;
+  }
+
+  if (!INDEXABLE_TYPES.includes(object.type)) return null;
+
+  /** @type {Node[]} */
+  const values = [];
+  for (const key of resolver.resolveUnionElements(index)) {
+    if ((key.type !== 'string' && key.type !== 'number') || key.value == null) return null;
+
+    const property = object.properties[key.value];
+    if (property == null) return null;
+
+    values.push(property.value);
+  }
+
+  if (values.length === 0) return null;
+  if (values.length === 1) return values[0];
+
+  return {type: 'union', elements: values};
+};
@@ -0,0 +1,57 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').TypeParameterNode} TypeParameterNode
+ */
+
+const substitute = require('./substitute');
+
+/**
+ * Pair each of `typeParameters` with the type given for it in `args`, falling
+ * back to the parameter's default when no argument is given. Defaults can
+ * refer to the parameters before them, like `U` in `<T, U = T[]>`, so those
+ * are substituted as they go. Parameters without either are left out.
+ *
+ * @param {TypeParameterNode[]} typeParameters
+ * @param {Node[]} args
+ * @returns {Record<string, Node>}
+ */
+function getTypeArguments(typeParameters, args) {
+  /** @type {Record<string, Node>} */
+  const params = {};
+  typeParameters.forEach((param, i) => {
+    const arg = args[i] ?? (param.default != null ? substitute(param.default, params) : null);
+    if (arg != null) {
+      params[param.name] = arg;
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Instantiate a generic declaration with the given type arguments, like
+ * `Select<Option>` or `useList<Item>`, replacing each of its type parameters
+ * throughout the declaration. Any parameters that aren't given and don't
+ * have defaults are kept as type parameters of the result.
+ *
+ * Returns null if the declaration isn't generic.
+ *
+ * @param {Node} declaration
+ * @param {Node[]} args
+ * @returns {Node | null}
+ */
+function performInstantiation(declaration, args) {
+  if (!('typeParameters' in declaration) || !declaration.typeParameters?.length) return null;
+
+  const {typeParameters} = declaration;
+  const params = getTypeArguments(typeParameters, args);
+  // The declaration's own type parameters would shadow the substitution, so
+  // they're removed before substituting and then restored after.
+  const instantiated = substitute({...declaration, typeParameters: []}, params);
+  return /** @type {Node} */ ({
+    ...instantiated,
+    typeParameters: typeParameters.filter((param) => params[param.name] == null),
+  });
+}
+
+module.exports = {getTypeArguments, performInstantiation};
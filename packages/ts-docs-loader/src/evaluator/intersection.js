@@ -0,0 +1,106 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').IntersectionNode} IntersectionNode
+ * @typedef {import('@faulty/ts-docs-node-types').PropertyNode | import('@faulty/ts-docs-node-types').MethodNode} PropertyOrMethodNode
+ * @typedef {import('./nodeResolver')} NodeResolver
+ */
+
+const mergeExtensions = require('./extends');
+
+const OBJECT_TYPES = ['interface', 'object'];
+
+/**
+ * Resolve every member of the intersection to the object type that it
+ * represents, flattening nested intersections along the way. Members that
+ * aren't object types (or are generic applications that haven't been
+ * instantiated) are returned separately, as they were written.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node[]} types
+ * @returns {{objects: Node[], residual: Node[]}}
+ */
+function collectMembers(resolver, types) {
+  /** @type {Node[]} */
+  const objects = [];
+  /** @type {Node[]} */
+  const residual = [];
+  for (const type of types) {
+    const resolved = type.type === 'application' ? type : resolver.resolveValue(type);
+    if (resolved.type === 'intersection') {
+      const nested = collectMembers(resolver, resolved.types);
+      objects.push(...nested.objects);
+      residual.push(...nested.residual);
+    } else if (OBJECT_TYPES.includes(resolved.type) && 'properties' in resolved && resolved.properties != null) {
+      objects.push(mergeExtensions(resolved));
+    } else {
+      residual.push(type);
+    }
+  }
+
+  return {objects, residual};
+}
+
+/**
+ * Create an intersection of the given types, flattening nested intersections
+ * and removing duplicate types. A single remaining type is returned as-is.
+ *
+ * @param {Node[]} types
+ * @returns {Node}
+ */
+function toIntersection(types) {
+  /** @type {Map<string, Node>} */
+  const unique = new Map();
+  for (const type of types.flatMap((type) => (type.type === 'intersection' ? type.types : [type]))) {
+    unique.set(JSON.stringify(type), type);
+  }
+
+  const result = [...unique.values()];
+  if (result.length === 1) return result[0];
+
+  return {type: 'intersection', types: result};
+}
+
+/**
+ * Evaluate an intersection like `BaseProps & AriaProps & {size?: Size}` into
+ * a single object type with the properties of every object member. Each
+ * property records the id of the declaration it came from as `inheritedFrom`,
+ * the same as extended interfaces do. Properties declared by more than one
+ * member have the intersection of their types, or just the type if it's the
+ * same in every member.
+ *
+ * Any members that aren't object types are kept in an intersection with the
+ * merged object. Returns null if there are no object types to merge.
+ *
+ * @param {NodeResolver} resolver
+ * @param {IntersectionNode} intersection
+ * @returns {Node | null}
+ */
+module.exports = function performIntersection(resolver, intersection) {
+  const {objects, residual} = collectMembers(resolver, intersection.types);
+  if (objects.length === 0 || (objects.length === 1 && residual.length > 0)) return null;
+
+  /** @type {Record<string, PropertyOrMethodNode>} */
+  const properties = {};
+  for (const object of objects) {
+    if (!('properties' in object) || object.properties == null) continue;
+
+    for (const [name, property] of Object.entries(object.properties)) {
+      const existing = properties[name];
+      if (existing?.type === 'property' && property.type === 'property') {
+        properties[name] = {
+          ...existing,
+          value: toIntersection([existing.value, property.value]),
+          optional: existing.optional && property.optional,
+        };
+      } else {
+        // Methods are overloaded rather than intersected, so the last
+        // declaration is kept.
+        properties[name] = {inheritedFrom: object.id, ...property};
+      }
+    }
+  }
+
+  /** @type {Node} */
+  const merged = {type: 'object', properties};
+  return residual.length > 0 ? {type: 'intersection', types: [merged, ...residual]} : merged;
+};
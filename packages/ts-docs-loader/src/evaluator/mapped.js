@@ -0,0 +1,196 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').MappedNode} MappedNode
+ * @typedef {import('@faulty/ts-docs-node-types').PropertyNode} PropertyNode
+ * @typedef {import('@faulty/ts-docs-node-types').PropertyNode | import('@faulty/ts-docs-node-types').MethodNode} PropertyOrMethodNode
+ * @typedef {import('./nodeResolver')} NodeResolver
+ */
+
+const performIndexedAccess = require('./indexedAccess');
+const substitute = require('./substitute');
+const walk = require('./walk');
+
+const OBJECT_TYPES = ['interface', 'object'];
+const INDEX_SIGNATURE_TYPES = ['string', 'number', 'symbol'];
+
+/**
+ * Apply a mapped type modifier (`+`, `-`, or none) to the existing value of
+ * that modifier from the source property.
+ *
+ * @param {'+' | '-' | null} modifier
+ * @param {boolean | undefined} existing
+ * @returns {boolean}
+ */
+function applyModifier(modifier, existing) {
+  if (modifier === '+') return true;
+  if (modifier === '-') return false;
+  return existing ?? false;
+}
+
+/**
+ * Replace every indexed access in `node` that can now be resolved, like
+ * `Props['color']` after `K` has been substituted with `'color'`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} node
+ * @returns {Node}
+ */
+function resolveIndexedAccesses(resolver, node) {
+  return walk({node}, (current, _key, recurse) => {
+    if (current == null) return current;
+
+    current = recurse(current);
+    if (current.type === 'indexedAccess') {
+      return performIndexedAccess(resolver, current.objectType, current.indexType) ?? current;
+    }
+
+    return current;
+  }).node;
+}
+
+/**
+ * Evaluate a remapped key into the literal it names. Template literal types
+ * like `on${K}` are joined into a single string once each of their elements
+ * is a known literal. Returns null if the key can't be known.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} node
+ * @returns {Node | null}
+ */
+function resolveKey(resolver, node) {
+  const resolved = resolver.resolveValue(node);
+  if (resolved.type === 'never') return resolved;
+  if ((resolved.type === 'string' || resolved.type === 'number') && resolved.value != null) return resolved;
+  if (resolved.type !== 'template') return null;
+
+  let value = '';
+  for (const element of resolved.elements) {
+    const key = resolveKey(resolver, element);
+    if (key == null || key.type === 'never' || !('value' in key)) return null;
+    value += key.value;
+  }
+
+  return {type: 'string', value};
+}
+
+/**
+ * Return the operand of a `keyof` type, which the transformer may represent
+ * either as a `keyof` node or as a generic `typeOperator`.
+ *
+ * @param {Node | null} node
+ * @returns {Node | null}
+ */
+function getKeyofOperand(node) {
+  if (node?.type === 'keyof') return node.keyof;
+  if (node?.type === 'typeOperator' && node.operator === 'keyof') return node.value;
+  return null;
+}
+
+/**
+ * Find the type that a mapped type is copying properties from, if any. Mapped
+ * types of the form `{[K in keyof T]: T[K]}` are "homomorphic" and preserve
+ * the `?` and `readonly` modifiers from the properties of `T`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {MappedNode} mapped
+ * @returns {Node | null}
+ */
+function getHomomorphicSource(resolver, mapped) {
+  const keyof = getKeyofOperand(mapped.typeParameter.constraint);
+  if (keyof != null) {
+    return resolver.resolveValue(keyof);
+  }
+
+  // `keyof` of a known interface has already been evaluated to a union of
+  // its keys, so instead look for the `T[K]` pattern in the value.
+  const {value} = mapped;
+  if (
+    value?.type === 'indexedAccess' &&
+    value.indexType.type === 'identifier' &&
+    value.indexType.name === mapped.typeParameter.name
+  ) {
+    return resolver.resolveValue(value.objectType);
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a mapped type like `{[K in Keys]?: T[K]}` into a concrete object
+ * type with a property for every key. This is possible when the keys are a
+ * union of literals (including `keyof` a known type), or a primitive like
+ * `string`, which becomes an index signature. Keys can be remapped with an
+ * `as` clause to other literals, including template literals like `on${K}`.
+ *
+ * Anything that can't be resolved returns the mapped type unchanged. After
+ * substituting each key into the property value and `as` clause, `evaluate`
+ * is called to give the linker a chance to evaluate the resulting type.
+ *
+ * @param {NodeResolver} resolver
+ * @param {MappedNode} mapped
+ * @param {(node: Node) => Node} evaluate
+ * @returns {Node}
+ */
+module.exports = function performMapped(resolver, mapped, evaluate) {
+  const {constraint, name: keyName} = mapped.typeParameter;
+  if (constraint == null) return mapped;
+
+  const source = getHomomorphicSource(resolver, mapped);
+  const sourceProperties = source != null && OBJECT_TYPES.includes(source.type) ? source.properties ?? null : null;
+
+  /** @type {Node[]} */
+  let keys;
+  if (getKeyofOperand(constraint) != null) {
+    if (sourceProperties == null) return mapped;
+    keys = Object.keys(sourceProperties).map((key) => ({type: 'string', value: key}));
+  } else {
+    if (!resolver.isConcrete(constraint)) return mapped;
+    keys = resolver.resolveUnionElements(resolver.resolveValue(constraint));
+  }
+
+  /** @type {Record<string, PropertyOrMethodNode>} */
+  const properties = {};
+  for (const key of keys) {
+    const params = {[keyName]: key};
+    const value =
+      mapped.value != null
+        ? evaluate(resolveIndexedAccesses(resolver, substitute(mapped.value, params)))
+        : {type: 'any'};
+
+    if ((key.type === 'string' || key.type === 'number') && key.value != null) {
+      let name = key.value;
+      if (mapped.nameType != null) {
+        const remapped = resolveKey(resolver, evaluate(substitute(mapped.nameType, params)));
+        if (remapped == null) return mapped;
+        // Remapping a key to `never` removes it from the result.
+        if (remapped.type === 'never') continue;
+        name = /** @type {string} */ (/** @type {import('@faulty/ts-docs-node-types').StringNode} */ (remapped).value);
+      }
+
+      const sourceProperty = sourceProperties?.[key.value];
+      properties[name] = {
+        type: 'property',
+        name,
+        value,
+        optional: applyModifier(mapped.optional, sourceProperty?.optional),
+        readonly: applyModifier(mapped.readonly, sourceProperty?.readonly),
+      };
+    } else if (INDEX_SIGNATURE_TYPES.includes(key.type) && mapped.nameType == null) {
+      properties[`[${keyName}: ${key.type}]`] = {
+        type: 'property',
+        name: keyName,
+        indexType: key,
+        value,
+        optional: applyModifier(mapped.optional, false),
+        readonly: applyModifier(mapped.readonly, false),
+      };
+    } else {
+      return mapped;
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').PropertyNode | import('@faulty/ts-docs-node-types').MethodNode} PropertyOrMethodNode
+ * @typedef {import('./nodeResolver')} NodeResolver
+ */
+
+const MODIFIABLE_TYPES = ['interface', 'object'];
+
+/**
+ * Return a copy of `base` with `modifiers` applied to every one of its
+ * properties. This is the shared implementation of the utilities that only
+ * change the `?` and `readonly` modifiers of a type.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @param {Partial<Pick<PropertyOrMethodNode, 'optional' | 'readonly'>>} modifiers
+ * @returns {Node}
+ */
+function applyModifiers(resolver, base, modifiers) {
+  base = resolver.resolveValue(base);
+
+  if (!MODIFIABLE_TYPES.includes(base.type)) return base;
+
+  /** @type {Record<string, PropertyOrMethodNode>} */
+  const properties = {};
+  for (const key in base.properties) {
+    properties[key] = {...base.properties[key], ...modifiers};
+  }
+
+  // The result is a new anonymous type, not the declaration it came from.
+  return {
+    type: 'object',
+    properties,
+  };
+}
+
+/**
+ * Perform TypeScript's `Partial` utility, making every property of `base` optional.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @returns {Node}
+ */
+function performPartial(resolver, base) {
+  return applyModifiers(resolver, base, {optional: true});
+}
+
+/**
+ * Perform TypeScript's `Required` utility, removing the optional modifier from
+ * every property of `base`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @returns {Node}
+ */
+function performRequired(resolver, base) {
+  return applyModifiers(resolver, base, {optional: false});
+}
+
+/**
+ * Perform TypeScript's `Readonly` utility, marking every property of `base` as readonly.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @returns {Node}
+ */
+function performReadonly(resolver, base) {
+  return applyModifiers(resolver, base, {readonly: true});
+}
+
+module.exports = {
+  performPartial,
+  performRequired,
+  performReadonly,
+};
@@ -2,6 +2,23 @@
  * @typedef {import('@faulty/ts-docs-node-types').Asset} Asset
  * @typedef {import('@faulty/ts-docs-node-types').Node} Node
  */
+
+/**
+ * Types that can't be evaluated any further without more information, like
+ * references to type parameters or unknown names, or types that the
+ * evaluator hasn't been able to reduce to something concrete.
+ */
+const SYMBOLIC_TYPES = [
+  'identifier',
+  'typeParameter',
+  'reference',
+  'conditional',
+  'infer',
+  'indexedAccess',
+  'keyof',
+  'mapped',
+];
+
 module.exports = class NodeResolver {
   /**
    * @param {Record<string, Node>} nodes
@@ -62,6 +79,50 @@ module.exports = class NodeResolver {
     });
   }
 
+  /**
+   * Resolve the set of property keys named by `keys`, like the second type
+   * argument of `Omit<Type, Keys>` or `Pick<Type, Keys>`. String and number
+   * literals are collected directly, and unions are flattened through
+   * `resolveUnionElements`. Any other kind of element is ignored.
+   *
+   * @param {Node} keys
+   * @returns {Set<string>}
+   */
+  resolveKeys(keys) {
+    /** @type {Set<string>} */
+    const result = new Set();
+    for (const element of this.resolveUnionElements(this.resolveValue(keys))) {
+      if ((element.type === 'string' || element.type === 'number') && element.value != null) {
+        result.add(element.value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns true if `obj` resolves to a type that is known well enough to be
+   * evaluated, meaning neither it nor any of its union elements are symbolic
+   * types like unresolved type parameters.
+   *
+   * @param {Node} obj
+   * @returns {boolean}
+   */
+  isConcrete(obj) {
+    return this.resolveUnionElements(this.resolveValue(obj)).every((element) => !this.isSymbolic(element));
+  }
+
+  /**
+   * Returns true if `obj` itself is a symbolic type, like an unresolved type
+   * parameter, without resolving it first.
+   *
+   * @param {Node} obj
+   * @returns {boolean}
+   */
+  isSymbolic(obj) {
+    return SYMBOLIC_TYPES.includes(obj.type);
+  }
+
   /**
    * Resolve `obj` to a real Node from the given set of nodes.
    * Links, applications, and aliases are all traversed.
@@ -13,25 +13,10 @@ const OMITTABLE_TYPES = ['interface', 'object'];
  */
 module.exports = function performOmit(linker, base, toOmit) {
   base = linker.resolveValue(base);
-  toOmit = linker.resolveValue(toOmit);
 
   if (!OMITTABLE_TYPES.includes(base.type)) return base;
 
-  const keys = new Set();
-  // If the omitted value is just a single string, add it directly
-  if (toOmit.type === 'string' && toOmit.value) {
-    keys.add(toOmit.value);
-    // If it's a union, resolve all of the elements of that union and then
-    // add them to the omitted set.
-  } else if (toOmit.type === 'union') {
-    const elements = linker.resolveUnionElements(toOmit);
-    for (const element of elements) {
-      if (element.type === 'string' && element.value != null) {
-        keys.add(element.value);
-      }
-    }
-  }
-
+  const keys = linker.resolveKeys(toOmit);
   // No keys to omit, so just return the object.
   if (keys.size === 0) return base;
 
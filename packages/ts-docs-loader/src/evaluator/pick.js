@@ -0,0 +1,34 @@
+/** @typedef {import('@faulty/ts-docs-node-types').Node} Node */
+/** @typedef {import('./nodeResolver')} NodeResolver */
+
+const PICKABLE_TYPES = ['interface', 'object'];
+
+/**
+ * Perform TypeScript's `Pick` utility, keeping only the properties named by `toPick` from `base`.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} base
+ * @param {Node} toPick
+ * @returns {Node}
+ */
+module.exports = function performPick(resolver, base, toPick) {
+  base = resolver.resolveValue(base);
+
+  if (!PICKABLE_TYPES.includes(base.type)) return base;
+
+  const keys = resolver.resolveKeys(toPick);
+
+  // Unlike `Omit`, picking no keys results in an empty object.
+  const properties = {};
+  for (const key in base.properties) {
+    if (!keys.has(key)) continue;
+
+    properties[key] = base.properties[key];
+  }
+
+  // The result is a new anonymous type, not the declaration it came from.
+  return {
+    type: 'object',
+    properties,
+  };
+};
@@ -0,0 +1,36 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').PropertyNode} PropertyNode
+ * @typedef {import('./nodeResolver')} NodeResolver
+ */
+
+/**
+ * Perform TypeScript's `Record` utility, creating an object type with a
+ * property of type `value` for every key in `keys`.
+ *
+ * Literal keys become named properties. Non-literal keys like `string` can't
+ * be enumerated, so they become index signatures instead, matching how
+ * `{[key: string]: T}` is represented.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} keys
+ * @param {Node} value
+ * @returns {Node}
+ */
+module.exports = function performRecord(resolver, keys, value) {
+  /** @type {Record<string, PropertyNode>} */
+  const properties = {};
+
+  for (const key of resolver.resolveUnionElements(resolver.resolveValue(keys))) {
+    if ((key.type === 'string' || key.type === 'number') && key.value != null) {
+      properties[key.value] = {type: 'property', name: key.value, value, optional: false};
+    } else if (key.type === 'string' || key.type === 'number' || key.type === 'symbol') {
+      properties[`[key: ${key.type}]`] = {type: 'property', name: 'key', indexType: key, value, optional: false};
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+  };
+};
@@ -0,0 +1,38 @@
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ */
+
+const walk = require('./walk');
+
+/**
+ * Return a copy of `node` where every identifier named by a key of `params`
+ * is replaced with the type given for it, like replacing `K` with `'foo'`
+ * when evaluating a mapped type for the key `foo`.
+ *
+ * Nested declarations that introduce their own type parameters with the same
+ * name (e.g., a generic method `<K>(key: K) => void`) shadow the substitution,
+ * so identifiers inside of them are left alone.
+ *
+ * @param {Node} node
+ * @param {Record<string, Node>} params
+ * @returns {Node}
+ */
+module.exports = function substitute(node, params) {
+  return walk({node}, (current, _key, recurse) => {
+    if (current == null || typeof current !== 'object') return current;
+
+    if (current.type === 'identifier' && params[current.name] != null) {
+      return params[current.name];
+    }
+
+    if ('typeParameters' in current && Array.isArray(current.typeParameters) && current.type !== 'application') {
+      const shadowed = current.typeParameters.filter((param) => param.name in params).map((param) => param.name);
+      if (shadowed.length > 0) {
+        const remaining = Object.fromEntries(Object.entries(params).filter(([name]) => !shadowed.includes(name)));
+        return substitute(current, remaining);
+      }
+    }
+
+    return recurse(current);
+  }).node;
+};
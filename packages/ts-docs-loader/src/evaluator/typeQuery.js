@@ -0,0 +1,53 @@
+/** @typedef {import('@faulty/ts-docs-node-types').Node} Node */
+/** @typedef {import('./nodeResolver')} NodeResolver */
+
+const KEYABLE_TYPES = ['interface', 'object'];
+
+/**
+ * Perform a `typeof value` type query, returning the type of the documented
+ * value, or null if it can't be represented. Object literals are documented
+ * as interfaces, so they become anonymous object types here instead.
+ *
+ * Classes and components are kept as queries, since their value is the
+ * constructor or render function rather than the declaration itself.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} value
+ * @returns {Node | null}
+ */
+function performTypeof(resolver, value) {
+  const resolved = resolver.resolveValue(value);
+  if (resolver.isSymbolic(resolved) || resolved.type === 'link' || resolved.type === 'component') return null;
+
+  if (resolved.type === 'interface') {
+    if (resolved.implements != null) return null;
+    return {type: 'object', properties: resolved.properties};
+  }
+
+  // The name and docs belong to the declaration of the value, not its type.
+  const {id: _id, name: _name, description: _description, location: _location, ...type} = resolved;
+  return /** @type {Node} */ (type);
+}
+
+/**
+ * Perform a `keyof Type` operation, returning a union of the property names
+ * of `operand`, or null if it doesn't resolve to a known object type.
+ *
+ * @param {NodeResolver} resolver
+ * @param {Node} operand
+ * @returns {Node | null}
+ */
+function performKeyof(resolver, operand) {
+  const resolved = resolver.resolveValue(operand);
+  if (!KEYABLE_TYPES.includes(resolved.type)) return null;
+
+  return {
+    type: 'union',
+    elements: Object.keys(resolved.properties).map((key) => ({
+      type: 'string',
+      value: key,
+    })),
+  };
+}
+
+module.exports = {performTypeof, performKeyof};
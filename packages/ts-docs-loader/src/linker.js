@@ -1,12 +1,49 @@
 // @ts-check
 
+const performConditional = require('./evaluator/conditional');
+const performDiscriminatedUnion = require('./evaluator/discriminatedUnion');
+const {performExclude, performExtract, performNonNullable} = require('./evaluator/exclude');
 const mergeExtensions = require('./evaluator/extends');
+const {performPartial, performReadonly, performRequired} = require('./evaluator/modifiers');
+const {getTypeArguments, performInstantiation} = require('./evaluator/instantiate');
+const performIntersection = require('./evaluator/intersection');
 const NodeResolver = require('./evaluator/nodeResolver');
+const performMapped = require('./evaluator/mapped');
 const performOmit = require('./evaluator/omit');
+const performPick = require('./evaluator/pick');
+const performRecord = require('./evaluator/record');
+const substitute = require('./evaluator/substitute');
+const {performKeyof, performTypeof} = require('./evaluator/typeQuery');
 const walk = require('./evaluator/walk');
 
+/**
+ * Number of type arguments required by each of the built-in utility types
+ * that the linker knows how to evaluate.
+ *
+ * @type {Record<string, number>}
+ */
+const UTILITY_TYPE_ARITY = {
+  Omit: 2,
+  Pick: 2,
+  Partial: 1,
+  Required: 1,
+  Readonly: 1,
+  Record: 2,
+  Exclude: 2,
+  Extract: 2,
+  NonNullable: 1,
+};
+
+/**
+ * Declarations that are instantiated in place when type arguments are applied
+ * to them, like `useList<Item>`.
+ */
+const INSTANTIABLE_TYPES = ['function', 'component', 'hook'];
+
 /**
  * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').ApplicationNode} ApplicationNode
+ * @typedef {import('@faulty/ts-docs-node-types').ConditionalNode} ConditionalNode
  * @typedef {import('@faulty/ts-docs-node-types').TypeParameterNode} TypeParameterNode
  * @typedef {import('@faulty/ts-docs-node-types').PropertyNode | import('@faulty/ts-docs-node-types').MethodNode} PropertyOrMethodNode
  * @typedef {import('@faulty/ts-docs-node-types').Asset} Asset
@@ -26,6 +63,13 @@ module.exports = class Linker {
   /** @type {NodeMap} */
   nodes = {};
   cache = new Map();
+  /**
+   * Ids of the generic declarations currently being linked by
+   * `linkDeclaration`, so that recursive declarations only link once.
+   *
+   * @type {Set<string>}
+   */
+  linking = new Set();
 
   /**
    * @param {Asset} thisAsset
@@ -203,6 +247,13 @@ module.exports = class Linker {
     const paramStack = [];
     /** @type {Array<string | null>} */
     const keyStack = [];
+    /**
+     * Constraints standing in for the type parameters of a root declaration.
+     * These aren't real arguments, so conditional types can't be evaluated
+     * with them.
+     * @type {Set<Node>}
+     */
+    const placeholders = new Set();
 
     return walk(obj, (current, key, recurse) => {
       if (current == null) return current;
@@ -228,17 +279,21 @@ module.exports = class Linker {
       // Gather type parameters from the interface/alias/component so they can
       // be applied to any descendants of the type.
       let hasParams = false;
+      /** @type {Record<string, Node> | null} */
+      let instantiatedArgs = null;
+      const declaration = current;
       if (
         (current.type === 'alias' || current.type === 'interface') &&
         current.typeParameters &&
         application != null &&
         this.shouldMerge(current, key, keyStack)
       ) {
-        const app = application;
         const params = {...paramStack[paramStack.length - 1]};
-        current.typeParameters.forEach((p, i) => {
-          params[p.name] = app[i] ?? p.default;
+        const args = getTypeArguments(current.typeParameters, application);
+        current.typeParameters.forEach((p) => {
+          params[p.name] = args[p.name];
         });
+        instantiatedArgs = args;
         paramStack.push(params);
         // so we don't replace the type parameters in the extended interface
         application = null;
@@ -256,12 +311,30 @@ module.exports = class Linker {
         (typeParameters).forEach((p) => {
           if (!params[p.name] && p.constraint) {
             params[p.name] = p.constraint;
+            placeholders.add(p.constraint);
           }
         });
         paramStack.push(params);
         hasParams = true;
       }
 
+      // Distributive conditional types are evaluated separately for each
+      // member of the union given for their check type, so the parameter is
+      // left unsubstituted within the conditional until it is evaluated.
+      /** @type {{name: string, value: Node} | null} */
+      let distributed = null;
+      if (current.type === 'conditional' && current.distributive && current.checkType.type === 'identifier') {
+        const params = paramStack[paramStack.length - 1];
+        const name = current.checkType.name;
+        if (params?.[name] != null && !placeholders.has(params[name])) {
+          distributed = {name, value: params[name]};
+          const shadowed = {...params};
+          delete shadowed[name];
+          paramStack.push(shadowed);
+          hasParams = true;
+        }
+      }
+
       keyStack.push(key);
       current = recurse(current);
       keyStack.pop();
@@ -270,17 +343,39 @@ module.exports = class Linker {
         paramStack.pop();
       }
 
+      // Once its arguments have been substituted, the merged copy of a
+      // declaration no longer declares those type parameters, so that later
+      // instantiations of whatever contains it aren't shadowed by them. The
+      // copy is only used in place, so the generic declaration is linked
+      // separately.
+      if (instantiatedArgs != null && (current.type === 'alias' || current.type === 'interface')) {
+        const args = instantiatedArgs;
+        current = {...current, typeParameters: current.typeParameters.filter((p) => args[p.name] == null)};
+        this.linkDeclaration(declaration);
+      }
+
       const params = paramStack[paramStack.length - 1];
       if (current.type === 'application') {
         application = null;
-        if (key === 'props') {
-          return current.base;
+
+        // Resolve built-in utility types like `Omit<Type, Keys>`, replacing
+        // the whole application with the evaluated result.
+        const evaluated = this.evaluateUtilityType(current);
+        if (evaluated != null) {
+          return evaluated;
+        }
+
+        // Generic functions, components and hooks are instantiated with the
+        // type arguments given to them. Aliases and interfaces are kept as
+        // applications of their links unless they're being merged above.
+        const instantiated = this.instantiateApplication(current);
+        if (instantiated != null) {
+          return instantiated;
         }
-      }
 
-      // Resolve `Omit<Type, Keys>` structures.
-      if (current.type === 'identifier' && current.name === 'Omit' && application) {
-        return performOmit(this.nodeResolver, application[0], application[1]);
+        if (key === 'props') {
+          return current.base.type === 'alias' ? current.base.value : current.base;
+        }
       }
 
       // If this is just an identifier and references a type parameter that is
@@ -293,7 +388,7 @@ module.exports = class Linker {
       // base classes into a flat set.
       if (current.type === 'interface') {
         const merged = mergeExtensions(current);
-        if (this.nodes[current.id] == null) {
+        if (this.nodes[current.id] == null && instantiatedArgs == null) {
           this.nodes[current.id] = merged;
         }
 
@@ -316,6 +411,12 @@ module.exports = class Linker {
           return current.value;
         }
 
+        // Instantiations are kept in place, like `Props<Item>` as the props
+        // of a component or an extended type.
+        if (instantiatedArgs != null) {
+          return current;
+        }
+
         if (this.nodes[current.id] == null) {
           this.nodes[current.id] = current;
         }
@@ -326,22 +427,226 @@ module.exports = class Linker {
         };
       }
 
-      if (current.type === 'keyof') {
-        if (current.keyof.type === 'interface') {
-          return {
-            type: 'union',
-            elements: Object.keys(current.keyof.properties).map((key) => ({
-              type: 'string',
-              value: key,
-            })),
-          };
+      // Enums are declarations that can be referenced like any other type.
+      if (current.type === 'enum') {
+        if (this.nodes[current.id] == null) {
+          this.nodes[current.id] = current;
         }
+
+        return {
+          type: 'link',
+          id: current.id,
+        };
+      }
+
+      if (current.type === 'conditional') {
+        const evaluated = this.evaluateConditional(current, distributed, placeholders);
+        if (evaluated != null) {
+          return evaluated;
+        }
+
+        return distributed != null ? substitute(current, {[distributed.name]: distributed.value}) : current;
+      }
+
+      // Mapped types are evaluated once their constraint and value have been
+      // resolved, re-processing each substituted property value in turn.
+      if (current.type === 'mapped') {
+        return performMapped(this.nodeResolver, current, (node) => this.processCode({node}).node);
+      }
+
+      if (current.type === 'component' && current.props != null) {
+        return {...current, props: this.processComponentProps(current.props, current.defaultProps)};
+      }
+
+      // Intersections of object types are merged into a single object.
+      if (current.type === 'intersection') {
+        return performIntersection(this.nodeResolver, current) ?? current;
+      }
+
+      // `typeof value` is replaced by the documented type of the value.
+      if (current.type === 'typeOperator' && current.operator === 'typeof') {
+        return performTypeof(this.nodeResolver, current.value) ?? current;
+      }
+
+      // The `keyof` constraint of a mapped type is kept so that the mapped
+      // type can tell which type it's copying property modifiers from.
+      const isMappedConstraint = key === 'constraint' && keyStack[keyStack.length - 1] === 'typeParameter';
+      if (current.type === 'keyof' && !isMappedConstraint) {
+        return performKeyof(this.nodeResolver, current.keyof) ?? current;
+      }
+
+      if (current.type === 'typeOperator' && current.operator === 'keyof' && !isMappedConstraint) {
+        return performKeyof(this.nodeResolver, current.value) ?? current;
       }
 
       return current;
     });
   }
 
+  /**
+   * Add the generic declaration of an alias or interface to the linked nodes,
+   * if it isn't already. Instantiations like `Props<Item>` are merged in place
+   * with their arguments substituted, so they can't stand in for it.
+   *
+   * @param {Node} declaration
+   */
+  linkDeclaration(declaration) {
+    if (declaration.id == null || this.nodes[declaration.id] != null || this.linking.has(declaration.id)) return;
+
+    this.linking.add(declaration.id);
+    this.processCode({[declaration.id]: declaration});
+    this.linking.delete(declaration.id);
+  }
+
+  /**
+   * If `application` applies type arguments to a generic function, component
+   * or hook, return the declaration instantiated with those arguments.
+   * Otherwise, returns null.
+   *
+   * @param {ApplicationNode} application
+   * @returns {Node | null}
+   */
+  instantiateApplication(application) {
+    const {base} = application;
+    if (!INSTANTIABLE_TYPES.includes(base.type)) return null;
+
+    const instantiated = performInstantiation(base, application.typeParameters);
+    if (instantiated == null) return null;
+
+    // Substituting the arguments can make nested applications and utility
+    // types evaluable, so the result is processed again. If the application
+    // itself was declared, like `const useItems = useList<Item>`, it keeps
+    // its own name and docs.
+    const {type: _type, base: _base, typeParameters: _args, ...declaration} = application;
+    return /** @type {Node} */ ({...this.processCode({node: instantiated}).node, ...declaration});
+  }
+
+  /**
+   * Prepare the props of a component for documentation. Class components
+   * declare their default values separately from the props type, so those
+   * are filled in as the defaults of the matching props. Props that are a
+   * union of object types with a discriminant property, like `variant`, are
+   * described as a discriminated union so each variant can be shown apart.
+   *
+   * @param {Node} props
+   * @param {Record<string, string> | undefined} defaultProps
+   * @returns {Node}
+   */
+  processComponentProps(props, defaultProps) {
+    const resolved = this.nodeResolver.resolveValue(props);
+    if (resolved.type === 'union') {
+      const described = performDiscriminatedUnion(this.nodeResolver, resolved);
+      if (described == null || defaultProps == null) return described ?? props;
+
+      return {
+        ...described,
+        properties: this.applyDefaultValues(described.properties, defaultProps),
+        variants: described.variants.map((variant) => ({
+          ...variant,
+          properties: this.applyDefaultValues(variant.properties, defaultProps),
+        })),
+      };
+    }
+
+    return defaultProps != null ? this.applyDefaultProps(props, defaultProps) : props;
+  }
+
+  /**
+   * Return a copy of `props` where every property named in `defaultProps`
+   * has that value as its `default`, unless it already documents one.
+   *
+   * @param {Node} props
+   * @param {Record<string, string>} defaultProps
+   * @returns {Node}
+   */
+  applyDefaultProps(props, defaultProps) {
+    const resolved = this.nodeResolver.resolveValue(props);
+    if (resolved.type !== 'interface' && resolved.type !== 'object') return props;
+    if (resolved.properties == null) return props;
+
+    return {...resolved, properties: this.applyDefaultValues(resolved.properties, defaultProps)};
+  }
+
+  /**
+   * @param {Record<string, PropertyOrMethodNode>} properties
+   * @param {Record<string, string>} defaultProps
+   * @returns {Record<string, PropertyOrMethodNode>}
+   */
+  applyDefaultValues(properties, defaultProps) {
+    /** @type {Record<string, PropertyOrMethodNode>} */
+    const result = {};
+    for (const [name, property] of Object.entries(properties)) {
+      result[name] =
+        defaultProps[name] != null && property.default == null ? {...property, default: defaultProps[name]} : property;
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate `conditional` if its check type is known, returning null if it
+   * can't be decided. Check types that still contain placeholders for the
+   * type parameters of a root declaration are never evaluated.
+   *
+   * @param {ConditionalNode} conditional
+   * @param {{name: string, value: Node} | null} distributed
+   * @param {Set<Node>} placeholders
+   * @returns {Node | null}
+   */
+  evaluateConditional(conditional, distributed, placeholders) {
+    let hasPlaceholder = false;
+    walk({node: conditional.checkType}, (current, _key, recurse) => {
+      if (placeholders.has(current)) hasPlaceholder = true;
+      return hasPlaceholder ? current : recurse(current);
+    });
+    if (hasPlaceholder) return null;
+
+    return performConditional(this.nodeResolver, conditional, (node) => this.processCode({node}).node, distributed);
+  }
+
+  /**
+   * If `application` is an application of one of TypeScript's built-in
+   * utility types, return the evaluated result of it. Otherwise, returns
+   * null, and the application should be kept as-is.
+   *
+   * @param {ApplicationNode} application
+   * @returns {Node | null}
+   */
+  evaluateUtilityType(application) {
+    if (application.base.type !== 'identifier') return null;
+
+    /** @type {Node[]} */
+    const args = application.typeParameters;
+    const arity = UTILITY_TYPE_ARITY[application.base.name];
+    if (arity == null || args.length < arity) return null;
+    // If any of the arguments are still symbolic (like an unresolved type
+    // parameter), the result can't be known, so keep the application as-is.
+    if (!args.every((arg) => this.nodeResolver.isConcrete(arg))) return null;
+
+    switch (application.base.name) {
+      case 'Omit':
+        return performOmit(this.nodeResolver, args[0], args[1]);
+      case 'Pick':
+        return performPick(this.nodeResolver, args[0], args[1]);
+      case 'Partial':
+        return performPartial(this.nodeResolver, args[0]);
+      case 'Required':
+        return performRequired(this.nodeResolver, args[0]);
+      case 'Readonly':
+        return performReadonly(this.nodeResolver, args[0]);
+      case 'Record':
+        return performRecord(this.nodeResolver, args[0], args[1]);
+      case 'Exclude':
+        return performExclude(this.nodeResolver, args[0], args[1]);
+      case 'Extract':
+        return performExtract(this.nodeResolver, args[0], args[1]);
+      case 'NonNullable':
+        return performNonNullable(this.nodeResolver, args[0]);
+      default:
+        return null;
+    }
+  }
+
   /**
    * Determine whether the interface of `t` should merge the properties of its
    * base types into itself for presentation.
@@ -3,12 +3,13 @@ const babel = require('@babel/parser');
 
 const Linker = require('./linker');
 const Transformer = require('./transformer');
-const {traverseExportsAndTypes, traverseTypeScopes} = require('./traverseExportsAndTypes');
+const {traverseAugmentations, traverseExportsAndTypes, traverseTypeScopes} = require('./traverseExportsAndTypes');
 const util = require('./util');
 
 /**
  * @typedef {import('@faulty/ts-docs-node-types').Asset} Asset
  * @typedef {import('@faulty/ts-docs-node-types').Node} Node
+ * @typedef {import('@faulty/ts-docs-node-types').InterfaceNode} InterfaceNode
  * @typedef {import('@babel/traverse').Scope} Scope
  *
  * @typedef {import('./types').BabelAST} BabelAST
@@ -32,6 +33,8 @@ const util = require('./util');
  * @property {Record<string, Node>} exportedNodes
  * @property {Dependency[]} importDependencies
  * @property {Map<string, string>} symbols
+ * @property {Record<string, Node>} augmentations Interfaces declared in module augmentations, keyed by the id of the
+ * interface they augment.
  *
  * @typedef Host
  * @property {(filePath: string) => Promise<string>} getSource Get the string content of the given file.
@@ -50,6 +53,22 @@ module.exports = class Loader {
    */
   inProgress = new Set();
 
+  /**
+   * Interfaces from module augmentations in every file loaded so far, keyed
+   * by the id of the interface they augment, then by their own id.
+   *
+   * @type {Map<string, Map<string, Node>>}
+   */
+  augmentations = new Map();
+
+  /**
+   * The ids of the augmentations that have been merged into each augmented
+   * interface created by `applyAugmentations`.
+   *
+   * @type {WeakMap<Node, Set<string>>}
+   */
+  appliedAugmentations = new WeakMap();
+
   /** @param {Host} host An adapter to the host bundler to load code and resolve module dependencies.*/
   constructor(host) {
     /** @type {Host} */
@@ -99,7 +118,21 @@ module.exports = class Loader {
 
     // Step 3b: If any symbols weren't found, dispatch load requests for those symbols
     // and then merge the results into this module's result.
-    const exportsByFile = util.groupBy(neededExports, (source) => source.id.file);
+    // Namespace exports (`export * as Foo from 'foo'`) don't have a source
+    // declaration, so they're built from the exports of their source module.
+    /** @type {SourceExport[]} */
+    const symbolExports = [];
+    for (const exported of neededExports) {
+      if (exported.type === 'namespace') {
+        const namespace = await this.loadNamespaceExport(exported);
+        Object.assign(exports, namespace.exports);
+        Object.assign(links, namespace.links);
+      } else {
+        symbolExports.push(exported);
+      }
+    }
+
+    const exportsByFile = util.groupBy(symbolExports, (source) => source.id.file);
     for (const [file, exported] of Object.entries(exportsByFile)) {
       const dependencySymbols = await this._loadExports(file, exported);
       Object.assign(exports, dependencySymbols.exports);
@@ -118,10 +151,11 @@ module.exports = class Loader {
     //   Object.assign(links, dependencySymbols.links);
     // }
 
-    // Step 5: Now, everything has been found, so return the accumulated results
+    // Step 5: Now, everything has been found, so merge in any augmentations
+    // that have been found and return the accumulated results.
     this.inProgress.delete(thisResourceId);
 
-    return {exports, links};
+    return {exports: this.applyAugmentations(exports), links: this.applyAugmentations(links)};
   }
 
   /**
@@ -177,9 +211,36 @@ module.exports = class Loader {
     // can be merged and linked for the final result.
     const resolvedDependencies = await this.recurseImportedDependencies(result.importDependencies, filePath);
 
+    // Augmentations are linked separately, since they aren't exports of this
+    // module, and then kept until the interfaces they augment are loaded.
+    /** @type {Record<string, Node>} */
+    let augmentationLinks = {};
+    if (Object.keys(result.augmentations).length > 0) {
+      const augmentationAsset = {id: filePath, exports: result.augmentations, symbols: new Map(), links: {}};
+      const augmentations = new Linker(augmentationAsset, resolvedDependencies).run();
+      for (const [targetId, node] of Object.entries(augmentations.exports)) {
+        const existing = this.augmentations.get(targetId) ?? new Map();
+        existing.set(node.id ?? targetId, node);
+        this.augmentations.set(targetId, existing);
+      }
+      augmentationLinks = augmentations.links;
+    }
+
+    // Dependencies may have been loaded before some of the augmentations
+    // were found, including the ones in this file, so they're applied again
+    // before any interfaces here extend or merge the augmented declarations.
+    for (const [source, dependency] of Object.entries(resolvedDependencies)) {
+      resolvedDependencies[source] = {
+        ...dependency,
+        exports: this.applyAugmentations(dependency.exports),
+        links: this.applyAugmentations(dependency.links),
+      };
+    }
+
     // TODO: Rewrite the linker? Or at least extract the `walkLinks` part?
     const thisAsset = {id: filePath, exports: result.exportedNodes, symbols: result.symbols, links: {}};
     const linked = new Linker(thisAsset, resolvedDependencies).run();
+    Object.assign(linked.links, augmentationLinks);
 
     // // TODO: Populate the cache with the created nodes once links can be attributed per-symbol.
     // for (const [exportName, node] of Object.entries(linked.exports)) {
@@ -190,6 +251,50 @@ module.exports = class Loader {
     return linked;
   }
 
+  /**
+   * Load every export of the module that a namespace export like
+   * `export * as Foo from 'foo'` comes from, and create a namespace node for
+   * it. Members of the namespace are links to their declarations, which are
+   * included in the returned links.
+   *
+   * @param {NamespaceExport} exported
+   * @returns {Promise<LoadResult>}
+   */
+  async loadNamespaceExport(exported) {
+    const sourcePath = await this.host.resolve(exported.sourceFile, exported.id.file);
+
+    /** @type {Record<string, Node>} */
+    const members = {};
+    /** @type {LoadResult['links']} */
+    const links = {};
+
+    // Same naive circular dependency handling as imports, leaving the
+    // namespace empty rather than recursing forever.
+    if (!this.inProgress.has(JSON.stringify({filePath: sourcePath}))) {
+      const data = await this.load(sourcePath);
+      Object.assign(links, data.links);
+      for (const [name, node] of Object.entries(data.exports)) {
+        // Some exports are already linked by the linker, like type aliases.
+        if (node.type !== 'link' && node.id != null) {
+          links[node.id] = node;
+          members[name] = {type: 'link', id: node.id};
+        } else {
+          members[name] = node;
+        }
+      }
+    }
+
+    /** @type {Node} */
+    const namespace = {
+      type: 'namespace',
+      id: util.makeIdString(this.host.trimPath(exported.id.file), exported.name),
+      name: exported.name,
+      members,
+    };
+
+    return {exports: {[exported.name]: namespace}, links};
+  }
+
   /**
    * For each requested export, process it with the transformer to create
    * documentation nodes. Returns a map of the processed exports and a list
@@ -202,7 +307,8 @@ module.exports = class Loader {
    */
   async processExports(filePath, requestedExports) {
     const typeScopes = await this.gatherTypeScopes(filePath);
-    const transformer = new Transformer(this.host.trimPath(filePath), typeScopes);
+    const source = await this.host.getSource(filePath);
+    const transformer = new Transformer(this.host.trimPath(filePath), typeScopes, source);
     /** @type {Record<string, Node>} */
     const exportedNodes = {};
 
@@ -216,7 +322,74 @@ module.exports = class Loader {
       symbols.set(exp.name, exp.name);
     }
 
-    return {exportedNodes, symbols, importDependencies: transformer.dependencies};
+    /** @type {Record<string, Node>} */
+    const augmentations = {};
+    for (const {source, path} of await this.gatherAugmentations(filePath)) {
+      let targetPath;
+      try {
+        targetPath = await this.host.resolve(source, filePath);
+      } catch (_) {
+        // Ambient declarations of modules that don't exist aren't augmenting
+        // anything.
+        continue;
+      }
+
+      const targetId = util.makeIdString(this.host.trimPath(targetPath), path.node.id.name);
+      augmentations[targetId] = transformer.processExport(path);
+    }
+
+    return {exportedNodes, symbols, importDependencies: transformer.dependencies, augmentations};
+  }
+
+  /**
+   * Return a copy of `nodes` where every interface that has been augmented by
+   * another module is replaced with a copy that includes the augmented
+   * members. `nodes` itself may come from other results or the cache, so
+   * neither it nor its interfaces are modified. Augmentations that have
+   * already been applied to an interface are skipped, so this can be called
+   * again as more augmentations are found.
+   *
+   * @param {Record<string, Node>} nodes
+   * @returns {Record<string, Node>}
+   */
+  applyAugmentations(nodes) {
+    /** @type {Record<string, Node>} */
+    const result = {};
+    for (const [key, node] of Object.entries(nodes)) {
+      result[key] = node.type === 'interface' ? this.augmentInterface(node) : node;
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge the augmentations of `node` that it doesn't include yet into a new
+   * interface, or return `node` itself if there are none.
+   *
+   * @param {InterfaceNode} node
+   * @returns {InterfaceNode}
+   */
+  augmentInterface(node) {
+    const augmentations = this.augmentations.get(node.id);
+    if (augmentations == null) return node;
+
+    const applied = new Set(this.appliedAugmentations.get(node));
+    /** @type {InterfaceNode} */
+    let merged = node;
+    for (const [id, augmentation] of augmentations) {
+      if (augmentation.type !== 'interface' || applied.has(id)) continue;
+
+      merged = {
+        ...merged,
+        extends: [...merged.extends, ...augmentation.extends],
+        properties: {...merged.properties, ...augmentation.properties},
+      };
+      applied.add(id);
+    }
+    if (merged === node) return node;
+
+    this.appliedAugmentations.set(merged, applied);
+    return merged;
   }
 
   /**
@@ -239,13 +412,16 @@ module.exports = class Loader {
         // to resolve all of them, so the requestedSymbols can/should be blank.
         dependency.symbols.some(({type}) => type === 'namespace')
           ? undefined
-          : dependency.symbols
-              .filter(({type}) => type === 'symbol')
-              .map(
-                (imp) =>
-                  // @ts-expect-error imp is definitely a SourceImport here
-                  imp.sourceName,
-              );
+          : dependency.symbols.flatMap((imp) => {
+              switch (imp.type) {
+                case 'default':
+                  return ['default'];
+                case 'symbol':
+                  return [imp.sourceName];
+                default:
+                  return [];
+              }
+            });
 
       // TODO: Is this needed anymore with the way export name resolution happens?
       //
@@ -272,7 +448,7 @@ module.exports = class Loader {
             case 'namespace':
               return [imp.localName, '*'];
             case 'default':
-              return [imp.localName, '@default'];
+              return [imp.localName, 'default'];
             case 'symbol':
               return [imp.localName, imp.sourceName];
           }
@@ -342,6 +518,9 @@ module.exports = class Loader {
     if (cached) return cached;
 
     const isAmbient = filePath.endsWith('.d.ts');
+    // `.ts` files can't contain JSX, which lets them use `<Type>value`
+    // assertions instead.
+    const isTypeScriptOnly = /\.[cm]?ts$/.test(filePath);
 
     const source = await this.host.getSource(filePath);
     const result = babel.parse(source, {
@@ -354,7 +533,7 @@ module.exports = class Loader {
         'exportNamespaceFrom',
         'dynamicImport',
         ['typescript', {dts: isAmbient}],
-        'jsx',
+        ...(isTypeScriptOnly ? [] : /** @type {const} */ (['jsx'])),
         'classPrivateProperties',
         'classPrivateMethods',
       ],
@@ -364,6 +543,22 @@ module.exports = class Loader {
     return result;
   }
 
+  /**
+   * Return the interfaces declared in module augmentations in the file, and
+   * the module specifier that each one augments.
+   *
+   * @param {string} filePath
+   * @returns {Promise<ReturnType<typeof traverseAugmentations>>}
+   */
+  async gatherAugmentations(filePath) {
+    try {
+      return traverseAugmentations(await this.parse(filePath));
+    } catch (_) {
+      // Same as gathering type scopes, unparseable files just don't have any.
+      return [];
+    }
+  }
+
   /**
    *
    * @param {string} filePath
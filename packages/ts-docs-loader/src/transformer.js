@@ -23,16 +23,43 @@ const {getTypeBinding} = require('./traverseExportsAndTypes');
  * @typedef {{source: string, symbols: Import[]}} Dependency
  */
 
+/**
+ * Statements that declare something that can be a member of a namespace.
+ */
+const NAMESPACE_MEMBER_TYPES = [
+  'VariableDeclaration',
+  'FunctionDeclaration',
+  'TSDeclareFunction',
+  'ClassDeclaration',
+  'TSInterfaceDeclaration',
+  'TSTypeAliasDeclaration',
+  'TSEnumDeclaration',
+  'TSModuleDeclaration',
+];
+
+/**
+ * Names of React's types for function components, like `React.FC<Props>`.
+ */
+const FUNCTION_COMPONENT_TYPES = ['FC', 'FunctionComponent', 'VFC', 'VoidFunctionComponent'];
+
+/**
+ * Hooks are named `use` followed by a capitalized name, like `useState`.
+ */
+const HOOK_NAME = /^use[A-Z0-9]/;
+
 module.exports = class Transformer {
   /**
    * @param {string} filePath - Absolute file path for the source, used for constructing IDs
    * @param {Map<Scope, TypeScope>} typeScopes
+   * @param {string} [source] - The source code of the file, used to document values like default props as written
    */
-  constructor(filePath, typeScopes) {
+  constructor(filePath, typeScopes, source = '') {
     /** @type {string} */
     this.filePath = filePath;
     /** @type {Map<Scope, TypeScope>} */
     this.typeScopes = typeScopes;
+    /** @type {string} */
+    this.source = source;
     /**
      * A cache to avoid re-processing paths from the tree
      */
@@ -43,6 +70,12 @@ module.exports = class Transformer {
      * @type {Dependency[]}
      */
     this.dependencies = [];
+    /**
+     * Exported members of each namespace that has been looked into, since
+     * finding them means scanning the entire body of the namespace.
+     * @type {Map<NodePath<t.TSModuleDeclaration>, Record<string, NodePath>>}
+     */
+    this.namespaceMembers = new Map();
   }
 
   /**
@@ -62,6 +95,59 @@ module.exports = class Transformer {
     }
   }
 
+  /**
+   * Return the id for the declaration of `name` at `path`. Declarations
+   * inside of namespaces are qualified by the names of those namespaces, like
+   * `file:Icons.Props`.
+   *
+   * @param {NodePath} path
+   * @param {string} name
+   * @returns {string}
+   */
+  makeId(path, name) {
+    const names = [name];
+    for (let parent = path.parentPath; parent != null; parent = parent.parentPath) {
+      if (parent.isTSModuleDeclaration()) {
+        names.unshift(this.getModuleName(parent.node));
+      }
+    }
+
+    return util.makeIdString(this.filePath, names.join('.'));
+  }
+
+  /**
+   * EX: `Icons` for `namespace Icons {}`, or `foo` for `declare module 'foo' {}`.
+   *
+   * @param {t.TSModuleDeclaration} node
+   * @returns {string}
+   */
+  getModuleName(node) {
+    return t.isStringLiteral(node.id) ? node.id.value : node.id.name;
+  }
+
+  /**
+   * Returns true if the type at `path` is a plain reference to a type
+   * parameter of one of its enclosing declarations, like the `T` in
+   * `type Foo<T> = T extends string ? A : B`.
+   *
+   * @param {NodePath} path
+   * @returns {boolean}
+   */
+  isTypeParameterReference(path) {
+    if (!path.isTSTypeReference() || path.node.typeParameters != null) return false;
+
+    const typeName = path.node.typeName;
+    if (!t.isIdentifier(typeName)) return false;
+
+    const declaration = path.findParent((parent) => {
+      // @ts-ignore Not every node has type parameters, but those that do share this shape.
+      const params = parent.node.typeParameters?.params;
+      return Array.isArray(params) && params.some((param) => param.name === typeName.name);
+    });
+
+    return declaration != null;
+  }
+
   /**
    * Returns true if the call corresponds to something imported from
    * react, either through `React.` or by itself.
@@ -83,17 +169,73 @@ module.exports = class Transformer {
       calleePath = calleePath.get('expression');
     }
 
-    if (!t.isMemberExpression(callee)) {
-      return calleePath.referencesImport(module, name);
+    return this.isReactReference(calleePath, name, module);
+  }
+
+  /**
+   * Returns true if the expression or type name at `path` refers to the
+   * export `name` of react, either imported directly or qualified through a
+   * default or namespace import, like `Component`, `React.Component`, or
+   * `ReactDOM.createPortal`.
+   *
+   * @param {NodePath} path
+   * @param {string} name
+   * @param {string} module
+   * @returns {boolean}
+   */
+  isReactReference(path, name, module = 'react') {
+    if (!path.isMemberExpression() && !path.isTSQualifiedName()) {
+      return this.referencesImport(path, module, name);
     }
 
-    if (/** @type {NodePath} */ (calleePath.get('object')).referencesImport(module, 'default')) {
-      return t.isIdentifier(callee.property, {name});
+    const object = /** @type {NodePath} */ (path.get(path.isMemberExpression() ? 'object' : 'left'));
+    if (this.referencesImport(object, module, 'default') || this.referencesImport(object, module, '*')) {
+      const property = path.isMemberExpression() ? path.node.property : path.node['right'];
+      return t.isIdentifier(property, {name});
     }
 
     return false;
   }
 
+  /**
+   * Returns true if the identifier at `path` is bound to the import `name`
+   * of `module`, where `name` can also be `'default'` or `'*'`. Unlike
+   * babel's `referencesImport`, this includes type-only imports like
+   * `import type * as React from 'react'`, which declaration files use
+   * even for the base classes of components.
+   *
+   * @param {NodePath} path
+   * @param {string} module
+   * @param {string} name
+   * @returns {boolean}
+   */
+  referencesImport(path, module, name) {
+    if (!path.isIdentifier()) return false;
+
+    const specifierPath = path.scope.getBinding(path.node.name)?.path;
+    const declaration = specifierPath?.parentPath;
+    if (!declaration?.isImportDeclaration() || declaration.node.source.value !== module) return false;
+
+    const specifier = specifierPath?.node;
+    if (t.isImportDefaultSpecifier(specifier)) return name === 'default';
+    if (t.isImportNamespaceSpecifier(specifier)) return name === '*';
+    return t.isImportSpecifier(specifier) && t.isIdentifier(specifier.imported, {name});
+  }
+
+  /**
+   * Matches classes that extend React's `Component` or `PureComponent`,
+   * qualified or not.
+   *
+   * @param {NodePath} path
+   * @returns {boolean}
+   */
+  isReactClassComponent(path) {
+    if (!path.isClass() || path.node.superClass == null) return false;
+
+    const superClass = /** @type {NodePath} */ (path.get('superClass'));
+    return this.isReactReference(superClass, 'Component') || this.isReactReference(superClass, 'PureComponent');
+  }
+
   /**
    * Matches any call to React's forwardRef, qualified or not.
    *
@@ -104,6 +246,71 @@ module.exports = class Transformer {
     return this.isReactCall(path, 'forwardRef');
   }
 
+  /**
+   * Matches calls to React's `forwardRef` and `memo`, which both wrap a
+   * component without changing its props.
+   *
+   * @param {NodePath} path
+   * @returns {boolean}
+   */
+  isReactComponentWrapper(path) {
+    return this.isReactForwardRef(path) || this.isReactCall(path, 'memo');
+  }
+
+  /**
+   * If the variable at `path` is annotated as a function component, like
+   * `const Button: React.FC<ButtonProps> = ...`, return the path to the type
+   * of its props, or `undefined` if it isn't annotated as a component. `null`
+   * means it's a component without a props type.
+   *
+   * @param {NodePath<t.VariableDeclarator>} path
+   * @returns {NodePath | null | undefined}
+   */
+  getFunctionComponentPropsType(path) {
+    const annotation = /** @type {NodePath} */ (path.get('id').get('typeAnnotation'));
+    if (!annotation.isTSTypeAnnotation()) return undefined;
+
+    const type = annotation.get('typeAnnotation');
+    if (!type.isTSTypeReference()) return undefined;
+
+    const typeName = type.get('typeName');
+    if (!FUNCTION_COMPONENT_TYPES.some((name) => this.isReactReference(typeName, name))) return undefined;
+
+    return type.node.typeParameters?.params.length ? type.get('typeParameters').get('params')[0] : null;
+  }
+
+  /**
+   * Returns true if the function is a custom hook, meaning it's named like a
+   * hook and calls other hooks, or it's explicitly tagged with `@hook`.
+   *
+   * @param {NodePath} path
+   * @returns {boolean}
+   */
+  isReactHook(path) {
+    if (!path.isFunction() && !path.isTSDeclareFunction()) return false;
+
+    // Functions assigned to variables are named and documented by the variable.
+    const declarator = path.parentPath?.isVariableDeclarator() ? path.parentPath : null;
+    if (this.getJSDocs(declarator?.parentPath ?? path).hook) return true;
+
+    const id = declarator != null ? declarator.node.id : 'id' in path.node ? path.node.id : null;
+    if (!t.isIdentifier(id) || !HOOK_NAME.test(id.name)) return false;
+
+    let callsHook = false;
+    path.traverse({
+      CallExpression(callPath) {
+        const {callee} = callPath.node;
+        const name = t.isMemberExpression(callee) ? callee.property['name'] : callee['name'];
+        if (typeof name === 'string' && HOOK_NAME.test(name)) {
+          callsHook = true;
+          callPath.stop();
+        }
+      },
+    });
+
+    return callsHook;
+  }
+
   /**
    * @param {t.TSType | undefined} returnType
    * @returns {boolean}
@@ -119,13 +326,18 @@ module.exports = class Transformer {
   }
 
   /**
-   * Only supports function components for now. Returns true if the component
-   * returns some form of JSX element.
+   * Returns true if the function returns some form of JSX element. Class
+   * components are matched separately by `isReactClassComponent`.
    *
    * @param {NodePath} path
    * @returns {boolean}
    */
   isReactComponent(path) {
+    // (props) => <div />
+    if (path.isArrowFunctionExpression() && (t.isJSXElement(path.node.body) || t.isJSXFragment(path.node.body))) {
+      return true;
+    }
+
     if (path.isFunction()) {
       /** @type {t.TSType | undefined} */
       // @ts-expect-error typeAnnotation doesn't exist on Noop, but we don't care.
@@ -163,11 +375,23 @@ module.exports = class Transformer {
       return returnsJSX;
     }
 
-    // TODO: classes
-
     return false;
   }
 
+  /**
+   * Return the source code for the node at `path` exactly as it was written,
+   * or null if the source isn't available.
+   *
+   * @param {NodePath} path
+   * @returns {string | null}
+   */
+  getSourceText(path) {
+    const {start, end} = path.node;
+    if (!this.source || start == null || end == null) return null;
+
+    return this.source.slice(start, end);
+  }
+
   /**
    * @param {t.Comment} comment
    * @returns {boolean}
@@ -246,6 +470,8 @@ module.exports = class Transformer {
           result.params[tag.name] = tag.description;
         } else if (tag.title === 'selector') {
           result.selector = tag.description;
+        } else if (tag.title === 'hook') {
+          result.hook = true;
         }
       }
 
@@ -301,7 +527,7 @@ module.exports = class Transformer {
       }
     }
 
-    if (value.type === 'function') {
+    if (value.type === 'function' || value.type === 'hook') {
       // @ts-expect-error partial node
       this.addFunctionDocs(value, docs);
     }
@@ -354,15 +580,27 @@ module.exports = class Transformer {
     // that when resolving the type.
     if (path.isTSParenthesizedType()) return this.processExport(path.get('typeAnnotation'), node);
 
-    // foo as string
-    //
-    // not sure why I can't pass typeAnnotation instead
-    if (path.isTSAsExpression()) return this.processExport(path.get('expression'), node);
+    // foo as const, <const>foo
+    if ((path.isTSAsExpression() || path.isTSTypeAssertion()) && this.isConstAssertion(path.node)) {
+      return this.processConstAssertion(path, node);
+    }
+    // foo as string, <string>foo
+    if (path.isTSAsExpression() || path.isTSTypeAssertion()) return this.processTypeAssertion(path, node);
+    // foo!
+    if (path.isTSNonNullExpression()) return this.processExport(path.get('expression'), node);
+    // foo satisfies Foo
+    if (path.isTSSatisfiesExpression()) return this.processTSSatisfiesExpression(path, node);
+
+    // React.forwardRef((props, ref) => {}), React.memo(Component)
+    if (this.isReactComponentWrapper(path)) {
+      // @ts-ignore the path is ensured to be a call by the check above
+      return this.processComponentWrapper(path, node);
+    }
 
-    // React.forwardRef((props, ref) => {})
-    if (this.isReactForwardRef(path)) {
-      // @ts-ignore
-      return this.processExport(path.get('arguments.0'), node);
+    // React.lazy(() => import('./Component'))
+    if (this.isReactCall(path, 'lazy')) {
+      // @ts-ignore the path is ensured to be a call by the check above
+      return this.processLazyComponent(path, node);
     }
 
     if (path.isVariableDeclarator()) return this.processVariableDeclarator(path, node);
@@ -388,6 +626,7 @@ module.exports = class Transformer {
     if (path.isTSTypeLiteral()) return this.processTSTypeLiteral(path, node);
     if (path.isTSTypeOperator()) return this.processTSTypeOperator(path, node);
     if (path.isTSTypeQuery()) return this.processTSTypeQuery(path, node);
+    if (path.isTSInstantiationExpression()) return this.processTSInstantiationExpression(path, node);
     if (path.isTSThisType()) return this.processTSThisType(path, node);
     if (path.isTSPropertySignature()) return this.processTSPropertySignature(path, node);
     if (path.isTSMethodSignature()) return this.processTSMethodSignature(path, node);
@@ -399,11 +638,19 @@ module.exports = class Transformer {
     if (path.isBooleanLiteral()) return Object.assign(node, {type: 'boolean', value: String(path.node.value)});
     if (path.isStringLiteral()) return Object.assign(node, {type: 'string', value: path.node.value});
     if (path.isNumericLiteral()) return Object.assign(node, {type: 'number', value: String(path.node.value)});
+    if (path.isUnaryExpression() && this.isSignedNumericLiteral(path.node)) {
+      return this.processSignedNumericLiteral(path, node);
+    }
+    if (path.isBigIntLiteral()) return Object.assign(node, {type: 'bigint', value: path.node.value});
+    if (path.isNullLiteral()) return Object.assign(node, {type: 'null'});
+    if (path.isTemplateLiteral()) return this.processTemplateLiteral(path, node);
+    if (path.isArrayExpression()) return this.processArrayExpression(path, node);
     // keywords
     if (path.isTSSymbolKeyword()) return Object.assign(node, {type: 'symbol'});
     if (path.isTSBooleanKeyword()) return Object.assign(node, {type: 'boolean'});
     if (path.isTSStringKeyword()) return Object.assign(node, {type: 'string'});
     if (path.isTSNumberKeyword()) return Object.assign(node, {type: 'number'});
+    if (path.isTSBigIntKeyword()) return Object.assign(node, {type: 'bigint'});
     if (path.isTSAnyKeyword()) return Object.assign(node, {type: 'any'});
     if (path.isTSNullKeyword()) return Object.assign(node, {type: 'null'});
     if (path.isTSUndefinedKeyword()) return Object.assign(node, {type: 'undefined'});
@@ -423,6 +670,13 @@ module.exports = class Transformer {
     if (path.isTSConditionalType()) return this.processTSConditionalType(path, node);
     if (path.isTSModuleDeclaration()) return this.processTSModuleDeclaration(path, node);
     if (path.isTSIndexedAccessType()) return this.processTSIndexedAccessType(path, node);
+    if (path.isTSMappedType()) return this.processTSMappedType(path, node);
+    if (path.isTSInferType()) return this.processTSInferType(path, node);
+    if (path.isTSTypePredicate()) return this.processTSTypePredicate(path, node);
+    if (path.isTSImportType()) return this.processTSImportType(path, node);
+    if (path.isTSCallSignatureDeclaration() || path.isTSConstructSignatureDeclaration()) {
+      return this.processTSSignatureDeclaration(path, node);
+    }
 
     console.log('[Docs Transformer] UNKNOWN TYPE', path.node.type);
     return node;
@@ -448,9 +702,24 @@ module.exports = class Transformer {
 
     const docs = this.getJSDocs(path.parentPath);
 
+    /** @type {NodePath<t.Expression>} */
     // @ts-ignore
-    this.processExport(path.get('init'), node);
-    node.id = util.makeIdString(this.filePath, path.node.id['name']);
+    const init = path.get('init');
+    // const Button: React.FC<ButtonProps> = (props) => {};
+    const componentPropsType = this.getFunctionComponentPropsType(path);
+    if (componentPropsType !== undefined && init.isFunction()) {
+      this.processFunctionComponent(init, node, {props: componentPropsType});
+    } else if (this.isLiteralExpression(init.node)) {
+      // Literal values are inferred the same way TypeScript would: values
+      // nested in arrays and objects can be reassigned, so they're widened to
+      // their primitive types, and so are `let` and `var` values themselves.
+      const value = this.processExport(init);
+      const isConst = path.parentPath.isVariableDeclaration({kind: 'const'});
+      Object.assign(node, isConst && !['tuple', 'interface'].includes(value.type) ? value : this.widenLiteral(value));
+    } else {
+      this.processExport(init, node);
+    }
+    node.id = this.makeId(path, path.node.id['name']);
     node.name = path.node.id['name'];
 
     this.addDocs(node, docs);
@@ -467,27 +736,56 @@ module.exports = class Transformer {
    * @returns {PartialNode}
    */
   processClassDeclaration(path, node) {
+    if (this.isReactClassComponent(path)) {
+      return this.processClassComponent(path, node);
+    }
+
     /** @type {Record<string, Node>} */
     const properties = {};
+    /** @type {PartialNode | null} */
+    let constructorSignature = null;
 
     /** @type {NodePath<t.ClassBody['body'][number]>[]} */
     // @ts-ignore the type is definitely what's above
     const bodyNodes = path.get('body.body');
 
     for (const propertyPath of bodyNodes) {
+      if (
+        (propertyPath.isClassMethod() || propertyPath.isTSDeclareMethod()) &&
+        propertyPath.node.kind === 'constructor'
+      ) {
+        // With overloaded constructors, the first signature is the one shown,
+        // but parameter properties can only come from the implementation.
+        const signature = this.processConstructor(propertyPath, properties);
+        constructorSignature = constructorSignature ?? signature;
+        continue;
+      }
+
       // Only supporting these kinds of nodes.
       if (!['ClassProperty', 'ClassMethod', 'TSDeclareMethod'].includes(propertyPath.node.type)) continue;
 
       const property = this.processExport(propertyPath);
       if (property) {
-        properties[property.name] = property;
+        properties[property.name] = this.mergeAccessors(properties[property.name], property);
       } else {
         console.log('UNKNOWN PROPERTY', propertyPath.node);
       }
     }
 
-    // @ts-ignore
-    const exts = path.node.superClass ? [this.processExport(path.get('superClass'))] : [];
+    /** @type {Node[]} */
+    const exts = [];
+    const superClass = /** @type {NodePath} */ (path.get('superClass'));
+    if (superClass.isIdentifier()) {
+      exts.push(this.processExport(superClass));
+    } else if (superClass.node != null) {
+      // Other expressions, like `Base.Mixin` or `mixin(Base)`, are values that
+      // can't be resolved as types, so they're only shown as written.
+      exts.push({type: 'identifier', name: this.getSourceText(superClass) ?? 'unknown'});
+    }
+    const implementations = path.node.implements
+      ? // @ts-ignore
+        path.get('implements').map((i) => this.processExport(i))
+      : [];
     const docs = this.getJSDocs(path);
 
     /**
@@ -498,15 +796,18 @@ module.exports = class Transformer {
 
     Object.assign(node, {
       type: 'interface',
-      id: util.makeIdString(this.filePath, name),
+      id: this.makeId(path, name),
       name: name,
       extends: exts,
+      implements: implementations,
       // @ts-ignore enforcing this is property | method with the type check in the loop above
       properties,
       typeParameters: path.node.typeParameters
         ? // @ts-ignore
           path.get('typeParameters.params').map((p) => this.processExport(p))
         : [],
+      constructorSignature,
+      abstract: path.node.abstract || false,
     });
 
     this.addDocs(node, docs);
@@ -515,6 +816,122 @@ module.exports = class Transformer {
     return node;
   }
 
+  /**
+   * EX: class Dialog extends React.Component<DialogProps, DialogState> {}
+   *
+   * The props come from the first type argument of the base class, and the
+   * values of `static defaultProps` are kept as source text so they can be
+   * shown as the defaults for those props.
+   *
+   * @param {NodePath<t.ClassDeclaration>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processClassComponent(path, node) {
+    /** @type {Record<string, string>} */
+    const defaultProps = {};
+
+    /** @type {NodePath<t.ClassBody['body'][number]>[]} */
+    // @ts-ignore the type is definitely what's above
+    const bodyNodes = path.get('body.body');
+    for (const propertyPath of bodyNodes) {
+      if (
+        !propertyPath.isClassProperty() ||
+        !propertyPath.node.static ||
+        !t.isIdentifier(propertyPath.node.key, {name: 'defaultProps'})
+      ) {
+        continue;
+      }
+
+      const value = propertyPath.get('value');
+      if (!value.isObjectExpression()) continue;
+
+      for (const property of value.get('properties')) {
+        if (!property.isObjectProperty()) continue;
+
+        const {key} = property.node;
+        const name = t.isStringLiteral(key) ? key.value : t.isIdentifier(key) ? key.name : null;
+        const text = this.getSourceText(property.get('value'));
+        if (name != null && text != null) {
+          defaultProps[name] = text;
+        }
+      }
+    }
+
+    /** @type {string} */
+    const name = path.node.id?.name ?? '';
+    const docs = this.getJSDocs(path);
+
+    Object.assign(node, {
+      type: 'component',
+      id: this.makeId(path, name),
+      name,
+      props: path.node.superTypeParameters?.params[0]
+        ? // @ts-ignore
+          this.processExport(path.get('superTypeParameters.params.0'))
+        : null,
+      typeParameters: path.node.typeParameters
+        ? // @ts-ignore
+          path.get('typeParameters.params').map((p) => this.processExport(p))
+        : [],
+      ref: null,
+      defaultProps,
+    });
+
+    this.addDocs(node, docs);
+    this.addLocation(node, path);
+
+    return node;
+  }
+
+  /**
+   * Process a class constructor into a function signature. TypeScript
+   * parameter properties, like `constructor(private readonly store: Store)`,
+   * also declare properties on the class, so those are added to `properties`.
+   *
+   * @param {NodePath<t.ClassMethod | t.TSDeclareMethod>} path
+   * @param {Record<string, Node>} properties
+   * @returns {PartialNode}
+   */
+  processConstructor(path, properties) {
+    /** @type {NodePath[]} */
+    // @ts-ignore
+    const params = path.get('params');
+    for (const param of params) {
+      if (!param.isTSParameterProperty()) continue;
+
+      const parameter = this.processParameter(param);
+      /** @type {PartialNode} */
+      const property = {
+        type: 'property',
+        name: parameter.name,
+        value: parameter.value,
+        optional: parameter.optional,
+        readonly: param.node.readonly || false,
+        static: false,
+        abstract: false,
+        access: param.node.accessibility,
+      };
+      this.addLocation(property, param);
+      // @ts-ignore parameter properties are always complete property nodes.
+      properties[parameter.name] = property;
+    }
+
+    /** @type {PartialNode} */
+    const node = {
+      type: 'function',
+      name: 'constructor',
+      parameters: params.map((p) => this.processParameter(p)),
+      return: {type: 'void'},
+      typeParameters: [],
+      access: path.node.accessibility,
+    };
+
+    this.addDocs(node, this.getJSDocs(path));
+    this.addLocation(node, path);
+    return node;
+  }
+
   /**
    * EX: Inside a class:
    * - foo: string = '';
@@ -535,6 +952,9 @@ module.exports = class Transformer {
           this.processExport(path.get('typeAnnotation.typeAnnotation'))
         : {type: 'any'},
       optional: path.node.optional || false,
+      readonly: path.node.readonly || false,
+      static: path.node.static || false,
+      abstract: path.node.abstract || false,
       access: path.node.accessibility,
     });
 
@@ -544,7 +964,9 @@ module.exports = class Transformer {
   }
 
   /**
-   * Object literals used as values, not type literals.
+   * Object literals used as values, not type literals. Objects declared as
+   * the value of a variable are documented like interfaces, while objects
+   * nested within other values are anonymous object types.
    *
    * EX:
    * - {foo: 3}
@@ -559,12 +981,16 @@ module.exports = class Transformer {
     for (const propertyPath of path.get('properties')) {
       const property = this.processExport(propertyPath);
       if (property) {
-        properties[property.name] = property;
+        properties[property.name] = this.mergeAccessors(properties[property.name], property);
       } else {
         console.log('UNKNOWN PROPERTY', propertyPath.node);
       }
     }
 
+    if (!this.isDeclaredValue(path)) {
+      return Object.assign(node, {type: 'object', properties});
+    }
+
     return Object.assign(node, {
       type: 'interface',
       extends: [],
@@ -573,6 +999,285 @@ module.exports = class Transformer {
     });
   }
 
+  /**
+   * Returns true if `path` is the value of a variable declaration or default
+   * export, ignoring any `as`, `satisfies` or `!` wrapping it.
+   *
+   * @param {NodePath} path
+   * @returns {boolean}
+   */
+  isDeclaredValue(path) {
+    let current = path;
+    while (
+      current.parentPath != null &&
+      (current.parentPath.isTSAsExpression() ||
+        current.parentPath.isTSTypeAssertion() ||
+        current.parentPath.isTSSatisfiesExpression() ||
+        current.parentPath.isTSNonNullExpression() ||
+        current.parentPath.isParenthesizedExpression())
+    ) {
+      current = current.parentPath;
+    }
+
+    return (
+      current.parentPath != null &&
+      (current.parentPath.isVariableDeclarator() || current.parentPath.isExportDefaultDeclaration())
+    );
+  }
+
+  /**
+   * EX:
+   * - -1
+   * - +0.5
+   *
+   * @param {NodePath<t.UnaryExpression>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processSignedNumericLiteral(path, node) {
+    const value = /** @type {t.NumericLiteral} */ (path.node.argument).value;
+    return Object.assign(node, {type: 'number', value: String(path.node.operator === '-' ? -value : value)});
+  }
+
+  /**
+   * Array literals are documented as tuples of their elements until they're
+   * widened by `widenLiteral`, so that `as const` can keep each element.
+   *
+   * EX:
+   * - ['primary', 'secondary']
+   *
+   * @param {NodePath<t.ArrayExpression>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processArrayExpression(path, node) {
+    return Object.assign(node, {
+      type: 'tuple',
+      elements: path.get('elements').map((element) => {
+        // Holes in the array are undefined, and spread values aren't known.
+        if (element.node == null) return {type: 'undefined'};
+        if (element.isSpreadElement()) return {type: 'any'};
+        return this.processExport(/** @type {NodePath} */ (element));
+      }),
+    });
+  }
+
+  /**
+   * A template literal used as a value. Templates without any substitutions
+   * are just strings.
+   *
+   * EX:
+   * - `small`
+   * - `size-${size}`
+   *
+   * @param {NodePath<t.TemplateLiteral>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTemplateLiteral(path, node) {
+    const {quasis} = path.node;
+    if (quasis.length === 1) {
+      return Object.assign(node, {type: 'string', value: quasis[0].value.cooked ?? quasis[0].value.raw});
+    }
+
+    const expressions = path.get('expressions');
+    /** @type {Node[]} */
+    const elements = [];
+    quasis.forEach((q, i) => {
+      if (q.value.raw) {
+        elements.push({type: 'string', value: q.value.raw});
+      }
+
+      if (!q.tail) {
+        elements.push(this.processExport(expressions[i]));
+      }
+    });
+
+    return Object.assign(node, {type: 'template', elements});
+  }
+
+  /**
+   * EX:
+   * - ['primary', 'secondary'] as const
+   * - {size: 'small'} as const
+   *
+   * @param {NodePath<t.TSAsExpression | t.TSTypeAssertion>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processConstAssertion(path, node) {
+    return Object.assign(node, this.makeReadonlyLiteral(this.processExport(path.get('expression'))));
+  }
+
+  /**
+   * Type assertions change the type of a value to the asserted type, so
+   * that's what gets documented. The value has its own name and docs, so
+   * asserting a declaration like an interface copies its type instead.
+   *
+   * EX:
+   * - {primary: 'blue'} as Theme
+   * - <Theme>{primary: 'blue'}
+   *
+   * @param {NodePath<t.TSAsExpression | t.TSTypeAssertion>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTypeAssertion(path, node) {
+    const {
+      id: _id,
+      name: _name,
+      description: _description,
+      location: _location,
+      ...type
+    } = this.processExport(path.get('typeAnnotation'));
+    return Object.assign(node, type);
+  }
+
+  /**
+   * `satisfies` checks a value against a type without changing the type
+   * that's inferred for it, so the value is documented as it's written, along
+   * with the type it satisfies.
+   *
+   * EX: {primary: 'blue'} satisfies Theme
+   *
+   * @param {NodePath<t.TSSatisfiesExpression>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTSSatisfiesExpression(path, node) {
+    return Object.assign(node, this.processExport(path.get('expression')), {
+      satisfies: this.processExport(path.get('typeAnnotation')),
+    });
+  }
+
+  /**
+   * @param {t.Node} node
+   * @returns {boolean}
+   */
+  isConstAssertion(node) {
+    return (
+      (t.isTSAsExpression(node) || t.isTSTypeAssertion(node)) &&
+      t.isTSTypeReference(node.typeAnnotation) &&
+      t.isIdentifier(node.typeAnnotation.typeName, {name: 'const'})
+    );
+  }
+
+  /**
+   * @param {t.Node | null | undefined} node
+   * @returns {node is t.UnaryExpression}
+   */
+  isSignedNumericLiteral(node) {
+    return (
+      t.isUnaryExpression(node) && (node.operator === '-' || node.operator === '+') && t.isNumericLiteral(node.argument)
+    );
+  }
+
+  /**
+   * Returns true if `node` is a literal value whose type can be inferred
+   * directly from the source, like `'small'`, `[1, 2]`, or `{a: 1} as const`.
+   *
+   * @param {t.Node | null | undefined} node
+   * @returns {boolean}
+   */
+  isLiteralExpression(node) {
+    return (
+      t.isStringLiteral(node) ||
+      t.isNumericLiteral(node) ||
+      this.isSignedNumericLiteral(node) ||
+      t.isBooleanLiteral(node) ||
+      t.isNullLiteral(node) ||
+      t.isTemplateLiteral(node) ||
+      t.isArrayExpression(node) ||
+      t.isObjectExpression(node) ||
+      (node != null && this.isConstAssertion(node)) ||
+      (t.isTSSatisfiesExpression(node) && this.isLiteralExpression(node.expression))
+    );
+  }
+
+  /**
+   * Widen the inferred type of a literal value to what TypeScript would infer
+   * for a mutable location, like `string` for `'small'` and `string[]` for
+   * `['small', 'large']`. Anything made readonly by `as const`, and any
+   * declarations referenced by the literal, are kept as they are.
+   *
+   * @param {Node} node
+   * @returns {Node}
+   */
+  widenLiteral(node) {
+    if (node.id != null) return node;
+
+    switch (node.type) {
+      case 'boolean':
+      case 'number':
+      case 'string':
+        return {type: node.type};
+      case 'template':
+        return {type: 'string'};
+      case 'tuple': {
+        if (node.readonly) return node;
+
+        /** @type {Node[]} */
+        const elements = [];
+        for (const element of node.elements.map((element) => this.widenLiteral(element))) {
+          // Widened primitives are all the same, so they only need to appear once.
+          const isPrimitive = Object.keys(element).length === 1;
+          if (!isPrimitive || !elements.some((existing) => existing.type === element.type)) {
+            elements.push(element);
+          }
+        }
+
+        /** @type {Node} */
+        const elementType = elements.length > 1 ? {type: 'union', elements} : elements[0] ?? {type: 'any'};
+        return {type: 'array', elementType};
+      }
+      case 'interface':
+      case 'object': {
+        if (node.properties == null) return node;
+
+        /** @type {typeof node.properties} */
+        const properties = {};
+        for (const [name, property] of Object.entries(node.properties)) {
+          properties[name] =
+            property.type === 'property' && !property.readonly
+              ? {...property, value: this.widenLiteral(property.value)}
+              : property;
+        }
+        return {...node, properties};
+      }
+      default:
+        return node;
+    }
+  }
+
+  /**
+   * Apply `as const` to the inferred type of a literal value, making arrays
+   * readonly tuples and the properties of objects readonly, all the way down.
+   *
+   * @param {Node} node
+   * @returns {Node}
+   */
+  makeReadonlyLiteral(node) {
+    if (node.id != null) return node;
+
+    if (node.type === 'tuple') {
+      return {...node, elements: node.elements.map((element) => this.makeReadonlyLiteral(element)), readonly: true};
+    }
+
+    if ((node.type === 'interface' || node.type === 'object') && node.properties != null) {
+      /** @type {typeof node.properties} */
+      const properties = {};
+      for (const [name, property] of Object.entries(node.properties)) {
+        properties[name] =
+          property.type === 'property'
+            ? {...property, value: this.makeReadonlyLiteral(property.value), readonly: true}
+            : property;
+      }
+      return {...node, properties};
+    }
+
+    return node;
+  }
+
   /**
    * EX:
    * - foo: 3
@@ -641,18 +1346,58 @@ module.exports = class Transformer {
       };
     }
 
+    const {kind} = path.node;
+    const isAccessor = kind === 'get' || kind === 'set';
     Object.assign(node, {
-      type: value.type === 'function' ? 'method' : 'property',
+      type: isAccessor ? 'property' : 'method',
       name,
       value,
+      static: path.node['static'] || false,
+      abstract: path.node['abstract'] || false,
       access: path.node['accessibility'],
     });
 
+    if (kind === 'get' || kind === 'set') {
+      // A lone getter can't be assigned to. If there's a setter as well, the
+      // two get merged by `mergeAccessors`.
+      Object.assign(node, {
+        readonly: kind === 'get',
+        accessors: {[kind]: docs.description || null},
+      });
+    }
+
     this.addDocs(node, docs);
     this.addLocation(node, path);
     return node;
   }
 
+  /**
+   * Combine the getter and setter for a property into a single property.
+   * Returns `property` as-is unless it completes an accessor pair with
+   * `previous`, the property already declared with the same name.
+   *
+   * The type of the property comes from the getter, while the descriptions of
+   * both accessors are kept in `accessors`.
+   *
+   * @param {Node | undefined} previous
+   * @param {Node} property
+   * @returns {Node}
+   */
+  mergeAccessors(previous, property) {
+    if (previous?.type !== 'property' || property.type !== 'property') return property;
+    if (previous.accessors == null || property.accessors == null) return property;
+
+    const accessors = {...previous.accessors, ...property.accessors};
+    const [getter, setter] = 'get' in previous.accessors ? [previous, property] : [property, previous];
+    return {
+      ...getter,
+      value: getter.value?.type === 'any' ? setter.value : getter.value,
+      description: accessors.get || accessors.set || null,
+      readonly: false,
+      accessors,
+    };
+  }
+
   /**
    * EX:
    * - foo(...) {...}
@@ -663,46 +1408,281 @@ module.exports = class Transformer {
    * @returns {PartialNode}
    */
   processFunction(path, node) {
+    // Hooks are checked first, since components can't be named like hooks.
+    if (this.isReactHook(path)) {
+      return this.processHook(path, node);
+    }
+
     if (this.isReactComponent(path)) {
-      const props = path.node.params[0];
-      const ref = path.node.params[1];
-      Object.assign(node, {
-        type: 'component',
-        id: 'id' in path.node && path.node.id != null ? util.makeIdString(this.filePath, path.node.id.name) : null,
-        name: 'id' in path.node && path.node.id ? path.node.id.name : null,
-        props:
-          props?.['typeAnnotation'] != null
-            ? // @ts-ignore
-              this.processExport(path.get('params.0.typeAnnotation.typeAnnotation'))
-            : null,
-        typeParameters: path.node.typeParameters
-          ? // @ts-ignore
-            path.get('typeParameters.params').map((p) => this.processExport(p))
-          : [],
-        ref: ref?.['typeAnnotation']
+      return this.processFunctionComponent(path, node);
+    }
+
+    const overloads = this.getOverloads(path);
+    if (overloads.length > 0) {
+      // The implementation signature can't be called directly, so overloaded
+      // functions are documented by their overloads instead, with the first
+      // one standing in for the function as a whole.
+      const signatures = overloads.map((overload) => this.processFunctionSignature(overload, {}));
+      Object.assign(node, signatures[0], {overloads: signatures});
+      if (node.description == null) {
+        this.addDocs(node, this.getJSDocs(path));
+      }
+      return node;
+    }
+
+    return this.processFunctionSignature(path, node);
+  }
+
+  /**
+   * A custom hook, documented like a function but with its own node type so
+   * that its options and return value can be presented separately.
+   *
+   * EX: function useDisclosure(options: DisclosureOptions): DisclosureState {}
+   *
+   * @param {NodePath<t.Function | t.TSDeclareFunction>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processHook(path, node) {
+    this.processFunctionSignature(path, node);
+    return Object.assign(node, {type: 'hook'});
+  }
+
+  /**
+   * A function that renders a component. When its parameters aren't
+   * annotated, the types of the props and ref can be given by whatever it's
+   * wrapped in instead, like the type arguments of `forwardRef<Ref, Props>`.
+   *
+   * EX:
+   * - function Button(props: ButtonProps) { return <button />; }
+   * - (props, ref) => <div ref={ref} />
+   *
+   * @param {NodePath<t.Function | t.TSDeclareFunction>} path
+   * @param {PartialNode} node
+   * @param {{props?: NodePath | null, ref?: NodePath | null}} types
+   * @returns {PartialNode}
+   */
+  processFunctionComponent(path, node, types = {}) {
+    /** @type {NodePath | undefined} */
+    let propsPath = path.get('params')[0];
+    // function Button({size}: ButtonProps = {}) {}
+    if (propsPath?.isAssignmentPattern()) {
+      propsPath = propsPath.get('left');
+    }
+    const props = propsPath?.node;
+    const ref = path.node.params[1];
+    const defaultProps = propsPath ? this.getDestructuredDefaults(propsPath) : {};
+    Object.assign(node, {
+      type: 'component',
+      id: 'id' in path.node && path.node.id != null ? this.makeId(path, path.node.id.name) : null,
+      name: 'id' in path.node && path.node.id ? path.node.id.name : null,
+      props:
+        props?.['typeAnnotation'] != null
           ? // @ts-ignore
-            this.processExport(path.get('params.1.typeAnnotation.typeAnnotation'))
+            this.processExport(propsPath.get('typeAnnotation.typeAnnotation'))
+          : types.props
+          ? this.processExport(types.props)
           : null,
-      });
-    } else {
-      Object.assign(node, {
-        type: 'function',
-        id: 'id' in path.node && path.node.id ? util.makeIdString(this.filePath, path.node.id.name) : undefined,
-        name: 'id' in path.node && path.node.id ? path.node.id.name : undefined,
+      typeParameters: path.node.typeParameters
+        ? // @ts-ignore
+          path.get('typeParameters.params').map((p) => this.processExport(p))
+        : [],
+      ref: ref?.['typeAnnotation']
+        ? // @ts-ignore
+          this.processExport(path.get('params.1.typeAnnotation.typeAnnotation'))
+        : types.ref
+        ? this.processExport(types.ref)
+        : null,
+    });
+    if (Object.keys(defaultProps).length > 0) {
+      Object.assign(node, {defaultProps});
+    }
 
-        // @ts-ignore
-        parameters: path.get('params').map((p) => this.processParameter(p)),
-        return: path.node.returnType
-          ? // @ts-ignore
-            this.processExport(path.get('returnType.typeAnnotation'))
-          : {type: 'any'},
-        typeParameters: path.node.typeParameters
-          ? // @ts-ignore
-            path.get('typeParameters.params').map((p) => this.processExport(p))
-          : [],
-      });
+    const docs = this.getJSDocs(path);
+    this.addDocs(node, docs);
+    this.addLocation(node, path);
+    return node;
+  }
+
+  /**
+   * Calls to `forwardRef` and `memo` are documented as the component they
+   * wrap. Inline render functions are always components, and take the types
+   * of their props and ref from the type arguments of the call if they
+   * aren't annotated.
+   *
+   * EX:
+   * - forwardRef<HTMLDivElement, Props>((props, ref) => {})
+   * - memo(forwardRef(Button))
+   * - React.memo<Props>(function Button(props) {})
+   *
+   * @param {NodePath<t.CallExpression>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processComponentWrapper(path, node) {
+    const inner = path.get('arguments')[0];
+    if (inner == null) return node;
+
+    const typeArguments = path.node.typeParameters ? path.get('typeParameters').get('params') : [];
+    const types = this.isReactForwardRef(path)
+      ? {ref: typeArguments[0], props: typeArguments[1]}
+      : {props: typeArguments[0]};
+
+    if (inner.isFunction()) {
+      return this.processFunctionComponent(inner, node, types);
     }
 
+    // The wrapped component is declared elsewhere, or is wrapped again, so
+    // it's documented as its own node that this one copies.
+    return Object.assign(node, this.processExport(inner));
+  }
+
+  /**
+   * `lazy` components are documented as the default export of the module
+   * they load.
+   *
+   * EX: React.lazy(() => import('./Dialog'))
+   *
+   * @param {NodePath<t.CallExpression>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processLazyComponent(path, node) {
+    const loader = path.node.arguments[0];
+    const body = t.isArrowFunctionExpression(loader) ? loader.body : null;
+    if (!t.isCallExpression(body) || !t.isImport(body.callee) || !t.isStringLiteral(body.arguments[0])) {
+      return node;
+    }
+
+    const source = body.arguments[0].value;
+    this.addDependency(source, {
+      type: 'default',
+      localName: 'default',
+      sourceFile: source,
+    });
+
+    return Object.assign(node, {
+      type: 'reference',
+      local: 'default',
+      imported: 'default',
+      specifier: source,
+    });
+  }
+
+  /**
+   * Return the default values given to destructured properties of a
+   * parameter as source text, keyed by property name, like `size` in:
+   *
+   *   function Button({size = 'medium'}: ButtonProps) {}
+   *
+   * @param {NodePath} path
+   * @returns {Record<string, string>}
+   */
+  getDestructuredDefaults(path) {
+    /** @type {Record<string, string>} */
+    const defaults = {};
+    if (!path.isObjectPattern()) return defaults;
+
+    for (const property of path.get('properties')) {
+      if (!property.isObjectProperty()) continue;
+
+      const value = property.get('value');
+      if (!value.isAssignmentPattern()) continue;
+
+      const {key} = property.node;
+      const name = t.isStringLiteral(key) ? key.value : t.isIdentifier(key) ? key.name : null;
+      const text = this.getSourceText(value.get('right'));
+      if (name != null && text != null) {
+        defaults[name] = text;
+      }
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Return the overload signatures declared for the function at `path`, like
+   * the first two declarations of:
+   *
+   *   function parse(x: string): A;
+   *   function parse(x: Buffer): B;
+   *   function parse(x: string | Buffer) {...}
+   *
+   * Returns an empty list if the function isn't overloaded.
+   *
+   * @param {NodePath} path
+   * @returns {NodePath<t.TSDeclareFunction>[]}
+   */
+  getOverloads(path) {
+    if (!path.isFunctionDeclaration() && !path.isTSDeclareFunction()) return [];
+    if (path.node.id == null) return [];
+
+    const {name} = path.node.id;
+    const parent = path.parentPath;
+    const statement = parent?.isExportNamedDeclaration() || parent?.isExportDefaultDeclaration() ? parent : path;
+    if (statement.parentPath == null || typeof statement.listKey !== 'string') return [];
+
+    /** @type {NodePath<t.TSDeclareFunction>[]} */
+    const overloads = [];
+    const siblings = /** @type {NodePath[]} */ (statement.parentPath.get(statement.listKey));
+    for (const sibling of siblings) {
+      const declaration =
+        sibling.isExportNamedDeclaration() || sibling.isExportDefaultDeclaration()
+          ? /** @type {NodePath} */ (sibling.get('declaration'))
+          : sibling;
+      if (declaration.isTSDeclareFunction() && declaration.node.id?.name === name) {
+        overloads.push(declaration);
+      }
+    }
+
+    // Ambient functions are only declarations, so a single one isn't an
+    // overload of anything.
+    const minimum = path.isTSDeclareFunction() ? 2 : 1;
+    return overloads.length >= minimum ? overloads : [];
+  }
+
+  /**
+   * Return the declared return type of a function. Arrow functions that
+   * directly return a literal have their return type inferred from it.
+   *
+   * @param {NodePath<t.Function | t.TSDeclareFunction>} path
+   * @returns {Node}
+   */
+  processReturnType(path) {
+    if (path.node.returnType) {
+      // @ts-ignore
+      return this.processExport(path.get('returnType.typeAnnotation'));
+    }
+
+    if (path.isArrowFunctionExpression() && this.isLiteralExpression(path.node.body)) {
+      return this.widenLiteral(this.processExport(path.get('body')));
+    }
+
+    return {type: 'any'};
+  }
+
+  /**
+   * Process a single call signature of a function, ignoring any overloads.
+   *
+   * @param {NodePath<t.Function | t.TSDeclareFunction>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processFunctionSignature(path, node) {
+    Object.assign(node, {
+      type: 'function',
+      id: 'id' in path.node && path.node.id ? this.makeId(path, path.node.id.name) : undefined,
+      name: 'id' in path.node && path.node.id ? path.node.id.name : undefined,
+
+      // @ts-ignore
+      parameters: path.get('params').map((p) => this.processParameter(p)),
+      return: this.processReturnType(path),
+      typeParameters: path.node.typeParameters
+        ? // @ts-ignore
+          path.get('typeParameters.params').map((p) => this.processExport(p))
+        : [],
+    });
+
     const docs = this.getJSDocs(path);
     this.addDocs(node, docs);
     this.addLocation(node, path);
@@ -724,6 +1704,21 @@ module.exports = class Transformer {
    * @returns {PartialNode}
    */
   processTSTypeReference(path, node) {
+    // ReadonlyArray<T> is the same as `readonly T[]`, unless it's been redeclared.
+    const {typeName, typeParameters} = path.node;
+    if (
+      t.isIdentifier(typeName, {name: 'ReadonlyArray'}) &&
+      typeParameters?.params.length === 1 &&
+      this.resolveNamespacedDeclaration(path.get('typeName')) == null
+    ) {
+      return Object.assign(node, {
+        type: 'array',
+        // @ts-ignore
+        elementType: this.processExport(path.get('typeParameters.params.0')),
+        readonly: true,
+      });
+    }
+
     if (path.node.typeParameters) {
       const base = this.processExport(path.get('typeName'));
 
@@ -748,6 +1743,13 @@ module.exports = class Transformer {
    * @returns {PartialNode}
    */
   processTSQualifiedName(path, node) {
+    // Members of namespaces in this file can be found directly, without
+    // processing every other member of the namespace.
+    const declaration = this.resolveNamespacedDeclaration(path);
+    if (declaration != null) {
+      return this.processExport(declaration);
+    }
+
     const left = this.processExport(path.get('left'));
     if (left == null) return node;
 
@@ -831,7 +1833,7 @@ module.exports = class Transformer {
     const docs = this.getJSDocs(path);
     return Object.assign(node, {
       type: 'alias',
-      id: util.makeIdString(this.filePath, path.node.id.name),
+      id: this.makeId(path, path.node.id.name),
       name: path.node.id.name,
       value: this.processExport(path.get('typeAnnotation')),
       typeParameters: path.node.typeParameters
@@ -853,14 +1855,15 @@ module.exports = class Transformer {
   processTSInterfaceDeclaration(path, node) {
     /** @type {Record<string, Node>} */
     const properties = {};
+    // Interfaces declared multiple times in the same scope are merged into a
+    // single interface with the members of every declaration.
+    const declarations = this.getMergedDeclarations(path);
     /** @type {NodePath<t.TSInterfaceBody['body'][number]>[]} */
     // @ts-ignore the type is definitely what's above
-    const bodyNodes = path.get('body.body');
+    const bodyNodes = declarations.flatMap((declaration) => declaration.get('body.body'));
 
     for (const propertyPath of bodyNodes) {
-      // Only supporting these kinds of nodes.
-      // TSConstructSignatureDeclaration and TSCallSignatureDeclaration _exist_,
-      // but idk how to even encounter them, so this is fine for now.
+      // Call and construct signatures are gathered separately below.
       if (!['TSPropertySignature', 'TSMethodSignature', 'TSIndexSignature'].includes(propertyPath.node.type)) continue;
 
       const property = this.processExport(propertyPath);
@@ -875,13 +1878,18 @@ module.exports = class Transformer {
       }
     }
 
-    // @ts-ignore
-    const exts = path.node.extends ? path.get('extends').map((e) => this.processExport(e)) : [];
-    const docs = this.getJSDocs(path);
+    const exts = declarations.flatMap((declaration) =>
+      // @ts-ignore
+      declaration.node.extends ? declaration.get('extends').map((e) => this.processExport(e)) : [],
+    );
+    // Use the docs from whichever declaration has them if this one doesn't.
+    const docs = [path, ...declarations]
+      .map((declaration) => this.getJSDocs(declaration))
+      .reduce((found, docs) => (found.description ? found : docs));
 
     Object.assign(node, {
       type: 'interface',
-      id: util.makeIdString(this.filePath, path.node.id.name),
+      id: this.makeId(path, path.node.id.name),
       name: path.node.id.name,
       extends: exts,
       // @ts-ignore enforcing this is property | method with the type check in the loop above.
@@ -890,6 +1898,7 @@ module.exports = class Transformer {
         ? // @ts-ignore
           path.get('typeParameters.params').map((p) => this.processExport(p))
         : [],
+      ...this.processSignatures(bodyNodes),
     });
 
     this.addDocs(node, docs);
@@ -897,6 +1906,22 @@ module.exports = class Transformer {
     return node;
   }
 
+  /**
+   * Return every declaration of the interface at `path` in its scope, in
+   * source order, including `path` itself.
+   *
+   * @param {NodePath<t.TSInterfaceDeclaration>} path
+   * @returns {NodePath<t.TSInterfaceDeclaration>[]}
+   */
+  getMergedDeclarations(path) {
+    const declarations = getTypeBinding(path.scope, path.node.id.name, this.typeScopes)?.declarations;
+    if (declarations == null || !declarations.some((declaration) => declaration.node === path.node)) {
+      return [path];
+    }
+
+    return /** @type {NodePath<t.TSInterfaceDeclaration>[]} */ (declarations);
+  }
+
   /**
    * EX:
    *  - enum Foo {}
@@ -916,11 +1941,19 @@ module.exports = class Transformer {
       }
     }
 
-    return Object.assign(node, {
+    const docs = this.getJSDocs(path);
+    Object.assign(node, {
       type: 'enum',
+      id: this.makeId(path, path.node.id.name),
       name: path.node.id.name,
       members,
+      const: path.node.const || false,
+      declare: path.node.declare || false,
     });
+
+    this.addDocs(node, docs);
+    this.addLocation(node, path);
+    return node;
   }
 
   /**
@@ -928,26 +1961,149 @@ module.exports = class Transformer {
    *  - A
    *  - B = 1
    *  - C = 'foo'
+   *  - D = B << 2
    *
    * @param {NodePath<t.TSEnumMember>} path
    * @param {PartialNode} node
    * @returns {PartialNode}
    */
   processTSEnumMember(path, node) {
-    const initializer = path.get('initializer');
-    // If no initializer is given, the value is explicitly null, not undefined.
-    let value = null;
-    if (initializer.isStringLiteral()) {
-      value = initializer.node.value;
-    } else if (initializer.isNumericLiteral()) {
-      value = String(initializer.node.value);
-    }
+    const value = this.getEnumMemberValue(path);
+    const docs = this.getJSDocs(path);
 
-    return Object.assign(node, {
+    Object.assign(node, {
       type: 'enumMember',
-      name: path.node.id['name'],
-      value,
+      name: t.isStringLiteral(path.node.id) ? path.node.id.value : path.node.id.name,
+      // If the value can't be determined, it's explicitly null, not undefined.
+      value: value == null ? null : String(value),
+      valueType:
+        value == null
+          ? null
+          : typeof value === 'number'
+          ? {type: 'number', value: String(value)}
+          : {type: 'string', value},
     });
+
+    this.addDocs(node, docs);
+    this.addLocation(node, path);
+    return node;
+  }
+
+  /**
+   * Compute the value of an enum member the way TypeScript does. Members
+   * without an initializer are one more than the previous member, or 0 for
+   * the first member. Returns null if the value can't be determined
+   * statically.
+   *
+   * @param {NodePath<t.TSEnumMember>} path
+   * @returns {number | string | null}
+   */
+  getEnumMemberValue(path) {
+    const initializer = path.get('initializer');
+    if (initializer.node != null) {
+      return this.evaluateEnumInitializer(/** @type {NodePath} */ (initializer), path);
+    }
+
+    if (typeof path.key !== 'number' || path.key === 0) return 0;
+
+    const previous = this.processExport(path.getSibling(path.key - 1));
+    if (previous.type !== 'enumMember' || previous.valueType?.type !== 'number') return null;
+    return Number(previous.valueType.value) + 1;
+  }
+
+  /**
+   * Evaluate the constant expression used to initialize an enum member.
+   * Supports literals, arithmetic and bitwise operators, and references to
+   * other members of the same enum, like `B << 2` or `Flags.A | Flags.B`.
+   *
+   * @param {NodePath} path
+   * @param {NodePath<t.TSEnumMember>} memberPath
+   * @returns {number | string | null}
+   */
+  evaluateEnumInitializer(path, memberPath) {
+    if (path.isNumericLiteral() || path.isStringLiteral()) return path.node.value;
+    if (path.isTemplateLiteral() && path.node.expressions.length === 0) return path.node.quasis[0].value.cooked ?? null;
+    if (path.isParenthesizedExpression()) return this.evaluateEnumInitializer(path.get('expression'), memberPath);
+
+    if (path.isUnaryExpression()) {
+      const argument = this.evaluateEnumInitializer(path.get('argument'), memberPath);
+      if (typeof argument !== 'number') return null;
+
+      switch (path.node.operator) {
+        case '-':
+          return -argument;
+        case '+':
+          return argument;
+        case '~':
+          return ~argument;
+        default:
+          return null;
+      }
+    }
+
+    if (path.isBinaryExpression()) {
+      const left = this.evaluateEnumInitializer(path.get('left'), memberPath);
+      const right = this.evaluateEnumInitializer(path.get('right'), memberPath);
+      if (left == null || right == null) return null;
+      if (path.node.operator === '+')
+        return typeof left === 'string' || typeof right === 'string' ? `${left}${right}` : left + right;
+      if (typeof left !== 'number' || typeof right !== 'number') return null;
+
+      switch (path.node.operator) {
+        case '-':
+          return left - right;
+        case '*':
+          return left * right;
+        case '/':
+          return left / right;
+        case '%':
+          return left % right;
+        case '**':
+          return left ** right;
+        case '<<':
+          return left << right;
+        case '>>':
+          return left >> right;
+        case '>>>':
+          return left >>> right;
+        case '|':
+          return left | right;
+        case '&':
+          return left & right;
+        case '^':
+          return left ^ right;
+        default:
+          return null;
+      }
+    }
+
+    // References to other members, either as `A` or `Enum.A`.
+    const enumPath = /** @type {NodePath<t.TSEnumDeclaration>} */ (memberPath.parentPath);
+    /** @type {string | null} */
+    let memberName = null;
+    if (path.isIdentifier()) {
+      memberName = path.node.name;
+    } else if (path.isMemberExpression() && t.isIdentifier(path.node.object, {name: enumPath.node.id.name})) {
+      const {property} = path.node;
+      memberName =
+        t.isIdentifier(property) && !path.node.computed
+          ? property.name
+          : t.isStringLiteral(property)
+          ? property.value
+          : null;
+    }
+
+    const member = enumPath
+      .get('members')
+      .find(
+        (member) => (t.isStringLiteral(member.node.id) ? member.node.id.value : member.node.id.name) === memberName,
+      );
+    // Members can only reference those declared before them.
+    if (member == null || member === memberPath || Number(member.key) > Number(memberPath.key)) return null;
+
+    const {valueType} = this.processExport(member);
+    if (valueType == null) return null;
+    return valueType.type === 'number' ? Number(valueType.value) : valueType.value;
   }
 
   /**
@@ -964,7 +2120,10 @@ module.exports = class Transformer {
    */
   processTSTypeLiteral(path, node) {
     const properties = {};
-    for (const member of path.get('members')) {
+    const members = path.get('members');
+    for (const member of members) {
+      if (member.isTSCallSignatureDeclaration() || member.isTSConstructSignatureDeclaration()) continue;
+
       const property = this.processExport(member);
       if (property) {
         properties[property.name] = property;
@@ -976,7 +2135,68 @@ module.exports = class Transformer {
     return Object.assign(node, {
       type: 'object',
       properties,
+      ...this.processSignatures(members),
+    });
+  }
+
+  /**
+   * Gather the call and construct signatures from the members of an interface
+   * or type literal. Each kind is only included if it has any signatures.
+   *
+   * EX:
+   * - (value: number): string
+   * - new (value: number): Foo
+   *
+   * @param {NodePath[]} members
+   * @returns {{callSignatures?: PartialNode[], constructSignatures?: PartialNode[]}}
+   */
+  processSignatures(members) {
+    const callSignatures = members
+      .filter((member) => member.isTSCallSignatureDeclaration())
+      .map((member) => this.processExport(member));
+    const constructSignatures = members
+      .filter((member) => member.isTSConstructSignatureDeclaration())
+      .map((member) => this.processExport(member));
+
+    return {
+      ...(callSignatures.length > 0 ? {callSignatures} : {}),
+      ...(constructSignatures.length > 0 ? {constructSignatures} : {}),
+    };
+  }
+
+  /**
+   * A call or construct signature in an interface or type literal. These are
+   * documented as functions, and the interface keeps track of which kind
+   * each one is.
+   *
+   * EX:
+   * - (value: number): string
+   * - new (value: number): Foo
+   *
+   * @param {NodePath<t.TSCallSignatureDeclaration | t.TSConstructSignatureDeclaration>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTSSignatureDeclaration(path, node) {
+    const docs = this.getJSDocs(path);
+
+    Object.assign(node, {
+      type: 'function',
+      // @ts-ignore
+      parameters: path.get('parameters').map((p) => this.processParameter(p)),
+      return: path.node.typeAnnotation
+        ? // @ts-ignore
+          this.processExport(path.get('typeAnnotation.typeAnnotation'))
+        : {type: 'any'},
+      typeParameters: path.node.typeParameters
+        ? // @ts-ignore
+          path.get('typeParameters.params').map((p) => this.processExport(p))
+        : [],
     });
+
+    this.addDocs(node, docs);
+    this.addLocation(node, path);
+    return node;
   }
 
   /**
@@ -993,10 +2213,17 @@ module.exports = class Transformer {
    * @returns {PartialNode}
    */
   processTSTypeOperator(path, node) {
+    const value = this.processExport(path.get('typeAnnotation'));
+    // `readonly` can only be applied to arrays and tuples, so it's kept as a
+    // flag on them rather than wrapping them in an operator.
+    if (path.node.operator === 'readonly' && (value.type === 'array' || value.type === 'tuple')) {
+      return Object.assign(node, value, {readonly: true});
+    }
+
     return Object.assign(node, {
       type: 'typeOperator',
       operator: path.node.operator,
-      value: this.processExport(path.get('typeAnnotation')),
+      value,
     });
   }
 
@@ -1011,10 +2238,37 @@ module.exports = class Transformer {
    * @returns {PartialNode}
    */
   processTSTypeQuery(path, node) {
+    const value = this.processExport(path.get('exprName'));
     return Object.assign(node, {
       type: 'typeOperator',
       operator: 'typeof',
-      value: this.processExport(path.get('exprName')),
+      // typeof useList<Item>
+      value: path.node.typeParameters
+        ? {
+            type: 'application',
+            base: value,
+            // @ts-ignore
+            typeParameters: path.get('typeParameters.params').map((p) => this.processExport(p)),
+          }
+        : value,
+    });
+  }
+
+  /**
+   * A generic function given type arguments without calling it.
+   *
+   * EX: const useItems = useList<Item>;
+   *
+   * @param {NodePath<t.TSInstantiationExpression>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTSInstantiationExpression(path, node) {
+    return Object.assign(node, {
+      type: 'application',
+      base: this.processExport(path.get('expression')),
+      // @ts-ignore
+      typeParameters: path.get('typeParameters.params').map((p) => this.processExport(p)),
     });
   }
 
@@ -1065,6 +2319,7 @@ module.exports = class Transformer {
       name,
       value,
       optional: path.node.optional || false,
+      readonly: path.node.readonly || false,
     });
 
     this.addDocs(node, docs);
@@ -1256,35 +2511,163 @@ module.exports = class Transformer {
       });
     }
 
+    // -1, -1n
+    const {literal} = path.node;
+    if (t.isUnaryExpression(literal, {operator: '-'})) {
+      if (t.isNumericLiteral(literal.argument)) {
+        return Object.assign(node, {type: 'number', value: String(-literal.argument.value)});
+      }
+      if (t.isBigIntLiteral(literal.argument)) {
+        return Object.assign(node, {type: 'bigint', value: `-${literal.argument.value}`});
+      }
+    }
+
+    if (t.isBigIntLiteral(literal)) {
+      return Object.assign(node, {type: 'bigint', value: literal.value});
+    }
+
     // @ts-expect-error `path.node.literal` _could_ be a UnaryExpression...if it wasn't a type literal.
-    const value = path.node.literal.value;
+    const value = literal.value;
 
+    // Literal values are always kept as strings, the same as literal values
+    // inferred from expressions.
     return Object.assign(node, {
       type: typeof value,
-      value,
+      value: String(value),
+    });
+  }
+
+  /**
+   * The return type of a type guard or assertion function.
+   *
+   * EX:
+   * - value is string
+   * - this is Element
+   * - asserts value is string
+   * - asserts condition
+   *
+   * @param {NodePath<t.TSTypePredicate>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTSTypePredicate(path, node) {
+    const {parameterName, typeAnnotation} = path.node;
+    return Object.assign(node, {
+      type: 'typePredicate',
+      asserts: path.node.asserts ?? false,
+      parameterName: t.isIdentifier(parameterName) ? parameterName.name : 'this',
+      value: typeAnnotation
+        ? // @ts-ignore
+          this.processExport(path.get('typeAnnotation.typeAnnotation'))
+        : null,
     });
   }
 
+  /**
+   * Types imported inline are resolved like any other import, as a reference
+   * to the export of the imported module.
+   *
+   * EX:
+   * - import('./Button').ButtonProps
+   * - import('./Select').SelectProps<T>
+   *
+   * @param {NodePath<t.TSImportType>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTSImportType(path, node) {
+    const source = path.node.argument.value;
+    const {qualifier} = path.node;
+
+    /** @type {Node} */
+    let reference;
+    if (qualifier == null) {
+      this.addDependency(source, {type: 'namespace', localName: source, sourceFile: source});
+      reference = {type: 'reference', local: source, imported: '*', specifier: source};
+    } else if (t.isIdentifier(qualifier)) {
+      this.addDependency(source, {
+        type: 'symbol',
+        localName: qualifier.name,
+        sourceName: qualifier.name,
+        sourceFile: source,
+      });
+      reference = {type: 'reference', local: qualifier.name, imported: qualifier.name, specifier: source};
+    } else {
+      // Members of namespaces within the imported module can't be resolved.
+      const name = this.getSourceText(/** @type {NodePath} */ (path.get('qualifier'))) ?? qualifier.right.name;
+      reference = {type: 'identifier', name: `import('${source}').${name}`};
+    }
+
+    if (path.node.typeParameters) {
+      return Object.assign(node, {
+        type: 'application',
+        base: reference,
+        // @ts-ignore
+        typeParameters: path.get('typeParameters.params').map((p) => this.processExport(p)),
+      });
+    }
+
+    return Object.assign(node, reference);
+  }
+
   /**
    * @param {NodePath} path
    * @returns {import("@faulty/ts-docs-node-types").ParameterNode}
    */
   processParameter(path) {
+    // constructor(private foo: string)
+    if (path.isTSParameterProperty()) {
+      path = path.get('parameter');
+    }
+
+    // foo = 'default'
+    /** @type {NodePath<t.Expression> | null} */
+    let defaultPath = null;
     if (path.isAssignmentPattern()) {
+      defaultPath = path.get('right');
       path = path.get('left');
     }
 
-    return {
+    // Literal defaults are kept as values, and also stand in for the type of
+    // the parameter when it doesn't have an annotation. Object literals are
+    // only documented by their source text, since the shape of a default
+    // object is rarely the type that the parameter accepts.
+    let defaultExpression = defaultPath?.node;
+    while (
+      t.isTSAsExpression(defaultExpression) ||
+      t.isTSTypeAssertion(defaultExpression) ||
+      t.isTSSatisfiesExpression(defaultExpression)
+    ) {
+      defaultExpression = defaultExpression.expression;
+    }
+    const isObjectDefault = t.isObjectExpression(defaultExpression);
+    const defaultValue =
+      defaultPath != null && !isObjectDefault && this.isLiteralExpression(defaultPath.node)
+        ? this.processExport(defaultPath)
+        : null;
+
+    /** @type {import("@faulty/ts-docs-node-types").ParameterNode} */
+    const parameter = {
       type: 'parameter',
       name: path.isRestElement() ? path.node.argument['name'] : path.node['name'],
       value:
         'typeAnnotation' in path.node && path.node.typeAnnotation != null
           ? // @ts-ignore
             this.processExport(path.get('typeAnnotation.typeAnnotation'))
+          : defaultValue != null
+          ? this.widenLiteral(defaultValue)
           : {type: 'any'},
-      optional: 'optional' in path.node ? path.node.optional != null : false,
+      // Parameters with defaults can be omitted, just like optional ones.
+      optional: ('optional' in path.node ? path.node.optional != null : false) || defaultPath != null,
       rest: path.isRestElement(),
     };
+
+    if (defaultPath != null) {
+      parameter.default = this.getSourceText(defaultPath);
+      parameter.defaultValue = defaultValue;
+    }
+
+    return parameter;
   }
 
   /**
@@ -1354,10 +2737,56 @@ module.exports = class Transformer {
   processTSTupleType(path, node) {
     return Object.assign(node, {
       type: 'tuple',
-      elements: path.get('elementTypes').map((t) => this.processExport(t)),
+      elements: path.get('elementTypes').map((t) => this.processTupleElement(t)),
     });
   }
 
+  /**
+   * Elements with a name, an optional marker, or a rest spread are wrapped in
+   * a `tupleElement` node to keep that information. Plain elements are just
+   * their type.
+   *
+   * EX:
+   * - start: number
+   * - end?: number
+   * - ...rest: string[]
+   * - string?
+   * - ...boolean[]
+   *
+   * @param {NodePath} path
+   * @returns {PartialNode}
+   */
+  processTupleElement(path) {
+    let rest = false;
+    if (path.isTSRestType()) {
+      rest = true;
+      path = path.get('typeAnnotation');
+    }
+
+    /** @type {string | null} */
+    let name = null;
+    let optional = false;
+    if (path.isTSNamedTupleMember()) {
+      name = path.node.label.name;
+      optional = path.node.optional || false;
+      path = path.get('elementType');
+    } else if (path.isTSOptionalType()) {
+      optional = true;
+      path = path.get('typeAnnotation');
+    }
+
+    const value = this.processExport(path);
+    if (name == null && !optional && !rest) return value;
+
+    return {
+      type: 'tupleElement',
+      name,
+      value,
+      optional,
+      rest,
+    };
+  }
+
   /**
    * EX: keyof Types
    *
@@ -1380,27 +2809,144 @@ module.exports = class Transformer {
    * @returns {PartialNode}
    */
   processTSConditionalType(path, node) {
+    const checkType = path.get('checkType');
     return Object.assign(node, {
       type: 'conditional',
-      checkType: this.processExport(path.get('checkType')),
+      checkType: this.processExport(checkType),
       extendsType: this.processExport(path.get('extendsType')),
       trueType: this.processExport(path.get('trueType')),
       falseType: this.processExport(path.get('falseType')),
+      // Conditional types only distribute over unions when the check type is
+      // a "naked" type parameter, like `T extends string ? A : B`.
+      distributive: this.isTypeParameterReference(checkType),
+    });
+  }
+
+  /**
+   * EX: infer U, as in `T extends Array<infer U> ? U : never`
+   *
+   * @param {NodePath<t.TSInferType>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTSInferType(path, node) {
+    return Object.assign(node, {
+      type: 'infer',
+      typeParameter: this.processExport(path.get('typeParameter')),
     });
   }
 
   /**
-   * EX: module Foo {}
+   * EX:
+   * - namespace Foo {}
+   * - namespace Foo.Bar {}
+   * - declare module 'foo' {}
    *
-   * @param {NodePath<t.TSModuleDeclaration>} _path
+   * @param {NodePath<t.TSModuleDeclaration>} path
    * @param {PartialNode} node
    * @returns {PartialNode}
    */
-  processTSModuleDeclaration(_path, node) {
-    // TODO: decide how we want to display something from a Global namespace
+  processTSModuleDeclaration(path, node) {
+    const name = this.getModuleName(path.node);
+
+    /** @type {Record<string, Node>} */
+    const members = {};
+    for (const [memberName, memberPath] of Object.entries(this.getNamespaceMembers(path))) {
+      members[memberName] = this.processExport(memberPath);
+    }
+
+    const docs = this.getJSDocs(path);
+    Object.assign(node, {
+      type: 'namespace',
+      id: this.makeId(path, name),
+      name,
+      members,
+    });
+
+    this.addDocs(node, docs);
+    this.addLocation(node, path);
     return node;
   }
 
+  /**
+   * Return the paths to each of the declarations exported by the namespace at
+   * `path`, keyed by their names.
+   *
+   * @param {NodePath<t.TSModuleDeclaration>} path
+   * @returns {Record<string, NodePath>}
+   */
+  getNamespaceMembers(path) {
+    const cached = this.namespaceMembers.get(path);
+    if (cached != null) return cached;
+
+    // Everything declared in an ambient module or namespace is implicitly
+    // exported, otherwise only the `export`ed declarations are members.
+    const isAmbient =
+      t.isStringLiteral(path.node.id) ||
+      this.filePath.endsWith('.d.ts') ||
+      path.node.declare === true ||
+      path.findParent((parent) => parent.isTSModuleDeclaration() && parent.node.declare === true) != null;
+
+    /** @type {NodePath[]} */
+    const declarations = [];
+    const body = path.get('body');
+    if (body.isTSModuleDeclaration()) {
+      // namespace Foo.Bar {}
+      declarations.push(body);
+    } else if (body.isTSModuleBlock()) {
+      for (const statement of body.get('body')) {
+        if (statement.isExportNamedDeclaration() && statement.node.declaration != null) {
+          declarations.push(/** @type {NodePath} */ (statement.get('declaration')));
+        } else if (isAmbient && NAMESPACE_MEMBER_TYPES.includes(statement.node.type)) {
+          declarations.push(statement);
+        }
+      }
+    }
+
+    /** @type {Record<string, NodePath>} */
+    const members = {};
+    for (const declaration of declarations) {
+      if (declaration.isVariableDeclaration()) {
+        for (const declarator of declaration.get('declarations')) {
+          if (t.isIdentifier(declarator.node.id)) {
+            members[declarator.node.id.name] = declarator;
+          }
+        }
+      } else if (declaration.isTSModuleDeclaration()) {
+        members[this.getModuleName(declaration.node)] = declaration;
+      } else if ('id' in declaration.node && t.isIdentifier(declaration.node.id)) {
+        members[declaration.node.id.name] = declaration;
+      }
+    }
+
+    this.namespaceMembers.set(path, members);
+    return members;
+  }
+
+  /**
+   * Find the declaration that a (possibly qualified) name refers to, looking
+   * through namespaces for qualified names like `Icons.Props`. Returns null if
+   * the name isn't declared in this file.
+   *
+   * @param {NodePath} path
+   * @returns {NodePath | null}
+   */
+  resolveNamespacedDeclaration(path) {
+    if (path.isIdentifier()) {
+      const {name} = path.node;
+      return path.scope.getBinding(name)?.path ?? getTypeBinding(path.scope, name, this.typeScopes)?.path ?? null;
+    }
+
+    if (path.isTSQualifiedName()) {
+      const namespace = this.resolveNamespacedDeclaration(path.get('left'));
+      if (namespace == null || !namespace.isTSModuleDeclaration()) return null;
+
+      return this.getNamespaceMembers(namespace)[path.node.right.name] ?? null;
+    }
+
+    return null;
+  }
+
   /**
    * EX: Props['color']
    *
@@ -1415,4 +2961,27 @@ module.exports = class Transformer {
       indexType: this.processExport(path.get('indexType')),
     });
   }
+
+  /**
+   * EX: {readonly [K in keyof Props as `on${K}`]?: Props[K]}
+   *
+   * @param {NodePath<t.TSMappedType>} path
+   * @param {PartialNode} node
+   * @returns {PartialNode}
+   */
+  processTSMappedType(path, node) {
+    /** @param {true | false | '+' | '-' | null | undefined} modifier */
+    const getModifier = (modifier) => (modifier === true ? '+' : modifier || null);
+
+    return Object.assign(node, {
+      type: 'mapped',
+      typeParameter: this.processExport(path.get('typeParameter')),
+      // @ts-ignore
+      nameType: path.node.nameType ? this.processExport(path.get('nameType')) : null,
+      // @ts-ignore
+      value: path.node.typeAnnotation ? this.processExport(path.get('typeAnnotation')) : null,
+      optional: getModifier(path.node.optional),
+      readonly: getModifier(path.node.readonly),
+    });
+  }
 };
@@ -21,7 +21,7 @@ const util = require('./util');
  * @typedef {import('./types').ExternalExport} ExternalExport
  * @typedef {import('./types').WildcardExport} WildcardExport
  *
- * @typedef {{kind: string, path: NodePath}} TypeBinding
+ * @typedef {import('./types').TypeBinding} TypeBinding
  *
  * @typedef GatherResult
  * @prop {Map<string, SourceExport>} sourceExports Map of exports originating from this file.
@@ -118,11 +118,12 @@ function traverseExportsAndTypes(filePath, ast) {
         });
       } else {
         // export {Foo as Bar} from 'foo';
+        // export Foo from 'foo';
         const list = externalExports.get(sourceFile) ?? [];
         list.push({
           type: 'external',
           name: exportName, // Bar
-          sourceName: specifier['local'].name, // Foo
+          sourceName: specifier.type === 'ExportDefaultSpecifier' ? 'default' : specifier.local.name, // Foo
           sourceFile: sourceFile, // 'foo'
           path: specifierPath,
         });
@@ -178,7 +179,7 @@ function traverseExportsAndTypes(filePath, ast) {
       // If no binding was found, it's an unresolved value, so ignore it.
       if (bindingPath == null) return;
 
-      sourceExports.set(localName, {
+      sourceExports.set(exportName, {
         type: 'symbol',
         name: exportName, // Bar
         sourceName: localName, // Foo
@@ -188,11 +189,65 @@ function traverseExportsAndTypes(filePath, ast) {
     }
   }
 
+  /**
+   * @param {NodePath<t.ExportDefaultDeclaration>} path
+   */
+  function handleDefaultExport(path) {
+    const {declaration} = path.node;
+
+    // export default Foo;
+    if (t.isIdentifier(declaration)) {
+      const localName = declaration.name;
+      const bindingPath = path.scope.getBinding(localName)?.path ?? typeScopes.get(path.scope)?.get(localName)?.path;
+      if (bindingPath == null) return;
+
+      sourceExports.set('default', {
+        type: 'symbol',
+        name: 'default',
+        sourceName: localName, // Foo
+        path: bindingPath,
+        id: util.makeId(filePath, localName),
+      });
+      return;
+    }
+
+    /** @type {NodePath} */
+    const declarationPath = path.get('declaration');
+    // export default function Foo() {}
+    // export default class Foo {}
+    if ('id' in declaration && t.isIdentifier(declaration.id)) {
+      const name = declaration.id.name;
+      for (const exportName of ['default', name]) {
+        sourceExports.set(exportName, {
+          type: 'symbol',
+          name: exportName,
+          sourceName: name, // Foo
+          path: declarationPath,
+          id: util.makeId(filePath, name),
+        });
+      }
+      return;
+    }
+
+    // export default () => {};
+    sourceExports.set('default', {
+      type: 'symbol',
+      name: 'default',
+      sourceName: 'default',
+      path: declarationPath,
+      id: util.makeId(filePath, 'default'),
+    });
+  }
+
   ///
   // Exports
   ///
   traverse(ast, {
     ExportNamedDeclaration(path) {
+      // Exports within a namespace or `declare module` block are members of
+      // that block, not of this module.
+      if (path.parentPath.isTSModuleBlock()) return;
+
       // export {Foo} from 'foo';
       if (path.node.source != null) {
         handleExportFromSource(path);
@@ -209,8 +264,10 @@ function traverseExportsAndTypes(filePath, ast) {
     ExportAllDeclaration(path) {
       wildcardExports.push({type: 'wildcard', sourceFile: path.node.source.value});
     },
-    // TODO: Handle default exports
-    ExportDefaultDeclaration(_path) {},
+    // export default Foo;
+    ExportDefaultDeclaration(path) {
+      handleDefaultExport(path);
+    },
   });
 
   return {sourceExports, externalExports, wildcardExports, typeScopes};
@@ -238,7 +295,15 @@ function traverseTypeScopes(ast) {
         /** @type {Map<string, TypeBinding>} */
         const typeScope = state.typeScopes.get(path.scope) ?? new Map();
         if (isTypeDeclaration(path) && 'id' in path.node && path.node.id != null) {
-          typeScope.set(path.node.id['name'], {kind: 'declaration', path});
+          const name = path.node.id['name'];
+          const existing = typeScope.get(name);
+          // Interfaces with the same name in the same scope are merged, so
+          // every declaration is kept, not just the first.
+          if (existing != null && existing.path.isTSInterfaceDeclaration() && path.isTSInterfaceDeclaration()) {
+            existing.declarations = [...(existing.declarations ?? [existing.path]), path];
+          } else {
+            typeScope.set(name, {kind: 'declaration', path});
+          }
         }
 
         state.typeScopes.set(path.scope, typeScope);
@@ -251,8 +316,46 @@ function traverseTypeScopes(ast) {
   return typeScopes;
 }
 
+/**
+ * Find all of the interfaces declared in module augmentations at the top level
+ * of the file, like `Theme` in `declare module 'lib' { interface Theme {} }`,
+ * along with the module specifier that each one augments.
+ *
+ * @param {BabelAST} ast
+ * @returns {Array<{source: string, path: NodePath<t.TSInterfaceDeclaration>}>}
+ */
+function traverseAugmentations(ast) {
+  /** @type {Array<{source: string, path: NodePath<t.TSInterfaceDeclaration>}>} */
+  const augmentations = [];
+
+  traverse(ast, {
+    Program(path) {
+      // Augmentations can only be declared at the top level, so there's no
+      // need to traverse any deeper.
+      path.stop();
+
+      for (const statement of path.get('body')) {
+        if (!statement.isTSModuleDeclaration() || !t.isStringLiteral(statement.node.id)) continue;
+
+        const body = statement.get('body');
+        if (!body.isTSModuleBlock()) continue;
+
+        for (const member of body.get('body')) {
+          const declaration = member.isExportNamedDeclaration() ? member.get('declaration') : member;
+          if (!Array.isArray(declaration) && declaration.isTSInterfaceDeclaration()) {
+            augmentations.push({source: statement.node.id.value, path: declaration});
+          }
+        }
+      }
+    },
+  });
+
+  return augmentations;
+}
+
 module.exports = {
   traverseExportsAndTypes,
   traverseTypeScopes,
+  traverseAugmentations,
   getTypeBinding,
 };
@@ -6,7 +6,12 @@ export type BabelAST = ParseResult<File>;
 
 export type NodeId = {file: string; symbol: string};
 
-export type TypeBinding = {kind: string; path: NodePath};
+export type TypeBinding = {
+  kind: string;
+  path: NodePath;
+  /** Every declaration of the name in the scope, for interfaces that are declared more than once. */
+  declarations?: NodePath[];
+};
 export type TypeScope = Map<string, TypeBinding>;
 
 /**
@@ -72,7 +77,6 @@ export interface SymbolImport {
   sourceFile: string;
 }
 
-// NOTE: Defaults aren't actually handled properly yet since default exports aren't handled.
 export interface DefaultImport {
   type: 'default';
   /** Name of the symbol in the _importing_ file. */
@@ -21,6 +21,9 @@ export function createTestLoader(files) {
       async resolve(filePath) {
         return filePath;
       },
+      trimPath(filePath) {
+        return filePath;
+      },
       cache,
     };
 
@@ -1,8 +1,14 @@
 import {describe, test} from '@jest/globals';
 import assert from 'node:assert/strict';
 
+import performConditional from '../src/evaluator/conditional';
+import {performExclude, performExtract, performNonNullable} from '../src/evaluator/exclude';
+import {performPartial, performReadonly, performRequired} from '../src/evaluator/modifiers';
 import NodeResolver from '../src/evaluator/nodeResolver';
+import performMapped from '../src/evaluator/mapped';
 import performOmit from '../src/evaluator/omit';
+import performPick from '../src/evaluator/pick';
+import performRecord from '../src/evaluator/record';
 
 import {builder as b} from './nodeBuilder';
 
@@ -54,3 +60,250 @@ describe('Omit', () => {
     assert(!('bar' in result.properties));
   });
 });
+
+describe('Pick', () => {
+  const Foo = b.interface('Foo', {
+    foo: b.str(),
+    bar: b.str(),
+    baz: b.num(),
+  });
+
+  const resolver = makeResolver({Foo});
+
+  test('keeps only the picked keys', () => {
+    const result = performPick(resolver, Foo, b.union([b.str('foo'), b.str('baz')]));
+
+    assert.deepEqual(Object.keys(result.properties), ['foo', 'baz']);
+  });
+
+  test('resolves links to the base type', () => {
+    const result = performPick(resolver, {type: 'link', id: 'Foo'}, b.str('bar'));
+
+    assert.deepEqual(Object.keys(result.properties), ['bar']);
+  });
+
+  test('returns an anonymous object type', () => {
+    const result = performPick(resolver, Foo, b.str('foo'));
+
+    assert.deepEqual(result, {type: 'object', properties: {foo: Foo.properties.foo}});
+  });
+});
+
+describe('Partial, Required, and Readonly', () => {
+  const Foo = b.interface('Foo', {
+    foo: b.prop('foo', b.str()),
+    bar: b.prop('bar', b.num(), true),
+  });
+
+  const resolver = makeResolver({Foo});
+
+  test('Partial makes all properties optional', () => {
+    const result = performPartial(resolver, Foo);
+
+    assert.equal(result.properties.foo.optional, true);
+    assert.equal(result.properties.bar.optional, true);
+    // The original type is not modified
+    assert.equal(Foo.properties.foo.optional, false);
+  });
+
+  test('Required makes all properties non-optional', () => {
+    const result = performRequired(resolver, Foo);
+
+    assert.equal(result.properties.foo.optional, false);
+    assert.equal(result.properties.bar.optional, false);
+  });
+
+  test('Readonly makes all properties readonly', () => {
+    const result = performReadonly(resolver, Foo);
+
+    assert.equal(result.properties.foo.readonly, true);
+    assert.equal(result.properties.bar.readonly, true);
+    assert.equal(result.properties.bar.optional, true);
+  });
+
+  test('return anonymous object types', () => {
+    for (const perform of [performPartial, performRequired, performReadonly]) {
+      const result = perform(resolver, {type: 'link', id: 'Foo'});
+
+      assert.equal(result.type, 'object');
+      assert(!('id' in result));
+      assert(!('name' in result));
+    }
+  });
+});
+
+describe('Record', () => {
+  const resolver = makeResolver();
+
+  test('creates a property for each literal key', () => {
+    const result = performRecord(resolver, b.union([b.str('a'), b.str('b')]), b.num());
+
+    assert.equal(result.type, 'object');
+    assert.deepEqual(Object.keys(result.properties), ['a', 'b']);
+    assert.deepEqual(result.properties.a.value, b.num());
+  });
+
+  test('creates an index signature for non-literal keys', () => {
+    const result = performRecord(resolver, b.str(), b.bool());
+    const [property] = Object.values(result.properties);
+
+    assert.deepEqual(property.indexType, b.str());
+    assert.deepEqual(property.value, b.bool());
+  });
+});
+
+describe('Exclude, Extract, and NonNullable', () => {
+  const Tones = b.alias('Tones', b.union([b.str('neutral'), b.str('critical'), b.str('legacy')]));
+  const resolver = makeResolver({Tones});
+
+  test('Exclude removes matching literals', () => {
+    const result = performExclude(resolver, {type: 'link', id: 'Tones'}, b.str('legacy'));
+
+    assert.deepEqual(result, b.union([b.str('neutral'), b.str('critical')]));
+  });
+
+  test('Exclude removes literals assignable to a primitive', () => {
+    const result = performExclude(resolver, b.union([b.str('a'), b.num('1'), b.num()]), b.num());
+
+    assert.deepEqual(result, b.str('a'));
+  });
+
+  test('Exclude of everything is never', () => {
+    const result = performExclude(resolver, Tones, b.str());
+
+    assert.deepEqual(result, {type: 'never'});
+  });
+
+  test('Extract keeps matching members', () => {
+    const result = performExtract(resolver, b.union([b.str('a'), b.num('1'), b.bool()]), b.union([b.str(), b.bool()]));
+
+    assert.deepEqual(result, b.union([b.str('a'), b.bool()]));
+  });
+
+  test('Exclude can remove half of a boolean', () => {
+    const result = performExclude(resolver, b.bool(), b.bool('false'));
+
+    assert.deepEqual(result, b.bool('true'));
+  });
+
+  test('NonNullable removes null and undefined', () => {
+    const result = performNonNullable(resolver, b.union([b.str(), {type: 'null'}, {type: 'undefined'}]));
+
+    assert.deepEqual(result, b.str());
+  });
+});
+
+describe('Mapped types', () => {
+  const Foo = b.interface('Foo', {
+    foo: b.prop('foo', b.str()),
+    bar: b.prop('bar', b.num(), true),
+  });
+  const resolver = makeResolver({Foo});
+  const evaluate = (node) => node;
+
+  /** @returns {import('@faulty/ts-docs-node-types').MappedNode} */
+  function mapped(constraint, value, modifiers = {}) {
+    return {
+      type: 'mapped',
+      typeParameter: {type: 'typeParameter', name: 'K', constraint, default: null},
+      nameType: null,
+      value,
+      optional: null,
+      readonly: null,
+      ...modifiers,
+    };
+  }
+
+  test('creates a property for each literal key', () => {
+    const result = performMapped(resolver, mapped(b.union([b.str('a'), b.str('b')]), b.bool()), evaluate);
+
+    assert.equal(result.type, 'object');
+    assert.deepEqual(Object.keys(result.properties), ['a', 'b']);
+    assert.deepEqual(result.properties.a.value, b.bool());
+  });
+
+  test('substitutes the key into indexed accesses', () => {
+    const value = {
+      type: 'indexedAccess',
+      objectType: {type: 'link', id: 'Foo'},
+      indexType: {type: 'identifier', name: 'K'},
+    };
+    const result = performMapped(resolver, mapped({type: 'keyof', keyof: {type: 'link', id: 'Foo'}}, value), evaluate);
+
+    assert.deepEqual(result.properties.foo.value, b.str());
+    assert.deepEqual(result.properties.bar.value, b.num());
+    // Modifiers are preserved from the source type
+    assert.equal(result.properties.bar.optional, true);
+  });
+
+  test('applies added and removed modifiers', () => {
+    const value = {
+      type: 'indexedAccess',
+      objectType: {type: 'link', id: 'Foo'},
+      indexType: {type: 'identifier', name: 'K'},
+    };
+    const result = performMapped(
+      resolver,
+      mapped(b.union([b.str('foo'), b.str('bar')]), value, {optional: '-', readonly: '+'}),
+      evaluate,
+    );
+
+    assert.equal(result.properties.bar.optional, false);
+    assert.equal(result.properties.foo.readonly, true);
+  });
+
+  test('keeps the mapped type when keys are unknown', () => {
+    const type = mapped({type: 'identifier', name: 'T'}, b.bool());
+
+    assert.equal(performMapped(resolver, type, evaluate), type);
+  });
+});
+
+describe('Conditional types', () => {
+  const resolver = makeResolver();
+  const evaluate = (node) => node;
+  const U = {type: 'identifier', name: 'U'};
+  const inferU = {type: 'infer', typeParameter: {type: 'typeParameter', name: 'U', constraint: null, default: null}};
+
+  /** @returns {import('@faulty/ts-docs-node-types').ConditionalNode} */
+  function conditional(checkType, extendsType, trueType, falseType) {
+    return {type: 'conditional', checkType, extendsType, trueType, falseType};
+  }
+
+  test('picks the branch for a concrete check type', () => {
+    assert.deepEqual(
+      performConditional(resolver, conditional(b.str('a'), b.str(), b.num(), b.bool()), evaluate),
+      b.num(),
+    );
+    assert.deepEqual(
+      performConditional(resolver, conditional(b.num(), b.str(), b.num(), b.bool()), evaluate),
+      b.bool(),
+    );
+  });
+
+  test('binds infer types in the extends clause', () => {
+    const arrayOfU = {type: 'application', base: {type: 'identifier', name: 'Array'}, typeParameters: [inferU]};
+    const result = performConditional(
+      resolver,
+      conditional({type: 'array', elementType: b.str()}, arrayOfU, U, {type: 'never'}),
+      evaluate,
+    );
+
+    assert.deepEqual(result, b.str());
+  });
+
+  test('distributes over unions', () => {
+    const T = {type: 'identifier', name: 'T'};
+    const type = conditional(T, {type: 'array', elementType: inferU}, U, T);
+    const value = b.union([{type: 'array', elementType: b.str()}, b.num(), {type: 'null'}]);
+    const result = performConditional(resolver, type, evaluate, {name: 'T', value});
+
+    assert.deepEqual(result, b.union([b.str(), b.num(), {type: 'null'}]));
+  });
+
+  test('cannot decide symbolic check types', () => {
+    const type = conditional({type: 'identifier', name: 'T'}, b.str(), b.num(), b.bool());
+
+    assert.equal(performConditional(resolver, type, evaluate), null);
+  });
+});
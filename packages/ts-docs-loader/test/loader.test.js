@@ -1,11 +1,22 @@
 // @ts-check
 
-import {describe, test} from '@jest/globals';
+import {describe, jest, test} from '@jest/globals';
 import assert from 'node:assert/strict';
 
+import Loader from '../src/loader';
+
 import {assertNodeContent} from './util.js';
 import {createTestLoader} from './createTestLoader.js';
 
+/**
+ * @typedef {import('@faulty/ts-docs-node-types').AliasNode} AliasNode
+ * @typedef {import('@faulty/ts-docs-node-types').ComponentNode} ComponentNode
+ * @typedef {import('@faulty/ts-docs-node-types').FunctionNode} FunctionNode
+ * @typedef {import('@faulty/ts-docs-node-types').InterfaceNode} InterfaceNode
+ * @typedef {import('@faulty/ts-docs-node-types').NamespaceNode} NamespaceNode
+ * @typedef {import('@faulty/ts-docs-node-types').ObjectNode} ObjectNode
+ */
+
 test('exporting from another file', async () => {
   const loader = createTestLoader({
     base: `
@@ -206,3 +217,1199 @@ test('links props for components', async () => {
   assertNodeContent(data.exports['Foo'], {type: 'component', name: 'Foo'});
   assertNodeContent(data.exports['Foo'].props, {type: 'interface', name: 'FooProps'});
 });
+
+test('evaluates utility types in extended interfaces', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface BaseProps {
+        a: string;
+        b: number;
+        c: boolean;
+      }
+
+      interface OtherProps {
+        d: string;
+      }
+
+      export interface Props extends Pick<BaseProps, 'a' | 'b'>, Partial<OtherProps> {}
+    `,
+  });
+  const data = await loader('index');
+  const {properties} = /** @type {InterfaceNode} */ (data.exports['Props']);
+
+  assert.deepEqual(Object.keys(properties), ['a', 'b', 'd']);
+  assertNodeContent(properties['a'], {optional: false, inheritedFrom: 'index:BaseProps'});
+  assertNodeContent(properties['d'], {optional: true, inheritedFrom: 'index:OtherProps'});
+});
+
+test('evaluates union filtering utility types', async () => {
+  const loader = createTestLoader({
+    index: `
+      type AllTones = 'neutral' | 'critical' | 'legacy';
+      export type Tone = Exclude<AllTones, 'legacy'>;
+
+      interface BaseProps {
+        neutral: string;
+        critical: string;
+        legacy: string;
+      }
+
+      export interface Props extends Omit<BaseProps, Exclude<AllTones, 'legacy'>> {}
+    `,
+  });
+  const data = await loader('index');
+
+  assertNodeContent(data.links['index:Tone'], {
+    value: {
+      type: 'union',
+      elements: [
+        {type: 'string', value: 'neutral'},
+        {type: 'string', value: 'critical'},
+      ],
+    },
+  });
+  const props = /** @type {InterfaceNode} */ (data.exports['Props']);
+  assert.deepEqual(Object.keys(props.properties), ['legacy']);
+});
+
+test('evaluates mapped types', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface BaseProps {
+        a: string;
+        b?: number;
+        c: boolean;
+      }
+
+      export type Complete = {-readonly [K in keyof BaseProps]-?: BaseProps[K]};
+      export type Flags = {readonly [K in keyof BaseProps as Exclude<K, 'c'>]: boolean};
+      export type Handlers = {[K in keyof BaseProps as \`on\${K}Change\`]: (value: BaseProps[K]) => void};
+
+      type Optional<T> = {[K in keyof T]?: T[K]};
+      export interface OptionalProps extends Optional<BaseProps> {}
+      export function Optionals(props: Optional<BaseProps>) {
+        return <div />;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const complete = /** @type {ObjectNode} */ (/** @type {AliasNode} */ (data.links['index:Complete']).value);
+  assertNodeContent(complete, {type: 'object'});
+  assertNodeContent(complete.properties['a'], {value: {type: 'string'}, optional: false, readonly: false});
+  assertNodeContent(complete.properties['b'], {value: {type: 'number'}, optional: false});
+
+  const flags = /** @type {ObjectNode} */ (/** @type {AliasNode} */ (data.links['index:Flags']).value);
+  assert.deepEqual(Object.keys(flags.properties), ['a', 'b']);
+  assertNodeContent(flags.properties['b'], {value: {type: 'boolean'}, optional: true, readonly: true});
+
+  const handlers = /** @type {ObjectNode} */ (/** @type {AliasNode} */ (data.links['index:Handlers']).value);
+  assert.deepEqual(Object.keys(handlers.properties), ['onaChange', 'onbChange', 'oncChange']);
+
+  const optional = /** @type {InterfaceNode} */ (data.exports['OptionalProps']);
+  assert.deepEqual(Object.keys(optional.properties), ['a', 'b', 'c']);
+  assertNodeContent(optional.properties['a'], {value: {type: 'string'}, optional: true});
+  const props = /** @type {ObjectNode} */ (/** @type {ComponentNode} */ (data.exports['Optionals']).props);
+  assert.deepEqual(Object.keys(props.properties), ['a', 'b', 'c']);
+  assertNodeContent(props.properties['c'], {value: {type: 'boolean'}, optional: true});
+});
+
+test('evaluates conditional types with known arguments', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface Base<T> {
+        item: T extends Array<infer U> ? U : never;
+        kind: T extends string[] ? 'text' : 'other';
+      }
+
+      export interface Props extends Base<string[] | number[]> {}
+      export type ElementOf<T extends unknown[]> = T extends Array<infer U> ? U : never;
+    `,
+  });
+  const data = await loader('index');
+  const {properties} = /** @type {InterfaceNode} */ (data.exports['Props']);
+
+  assertNodeContent(properties['item'], {value: {type: 'union', elements: [{type: 'string'}, {type: 'number'}]}});
+  assertNodeContent(properties['kind'], {
+    value: {
+      type: 'union',
+      elements: [
+        {type: 'string', value: 'text'},
+        {type: 'string', value: 'other'},
+      ],
+    },
+  });
+  // Root declarations keep their conditional, rather than evaluating it with
+  // the constraint of `T`.
+  assertNodeContent(/** @type {AliasNode} */ (data.links['index:ElementOf']).value, {
+    type: 'conditional',
+    distributive: true,
+  });
+});
+
+test('class components', async () => {
+  const loader = createTestLoader({
+    index: `
+      import * as React from 'react';
+      import {PureComponent} from 'react';
+
+      interface DialogProps {
+        /** Whether the dialog is open. */
+        open: boolean;
+        size?: 'small' | 'large';
+        /** @default 'Dialog' */
+        title?: string;
+      }
+
+      export class Dialog extends React.Component<DialogProps, {visible: boolean}> {
+        static defaultProps = {size: 'small', title: 'Untitled'};
+
+        state = {visible: false};
+
+        render() {
+          return <div />;
+        }
+      }
+
+      export class Badge extends PureComponent<{count: number}> {
+        render() {
+          return <span />;
+        }
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  assertNodeContent(data.exports['Dialog'], {type: 'component', name: 'Dialog'});
+  const {properties} = /** @type {InterfaceNode} */ (/** @type {ComponentNode} */ (data.exports['Dialog']).props);
+  assert.deepEqual(Object.keys(properties), ['open', 'size', 'title']);
+  assertNodeContent(properties['size'], {default: "'small'"});
+  // Defaults documented on the prop itself take precedence.
+  assertNodeContent(properties['title'], {default: "'Dialog'"});
+
+  assertNodeContent(data.exports['Badge'], {type: 'component', name: 'Badge'});
+  const badge = /** @type {ComponentNode} */ (data.exports['Badge']);
+  assert.deepEqual(Object.keys(/** @type {ObjectNode} */ (badge.props).properties), ['count']);
+});
+
+test('class components with type-only react imports', async () => {
+  const log = jest.spyOn(console, 'log');
+  const loader = createTestLoader({
+    'index.d.ts': `
+      import type * as React from 'react';
+      import type * as Mixins from './mixins';
+
+      interface ListProps {
+        data: string[];
+      }
+
+      export class List extends React.Component<ListProps> {}
+
+      export declare class Scroller extends Mixins.Scrollable {}
+    `,
+  });
+  const data = await loader('index.d.ts');
+
+  assertNodeContent(data.exports['List'], {type: 'component', name: 'List'});
+  const list = /** @type {ComponentNode} */ (data.exports['List']);
+  assert.deepEqual(Object.keys(/** @type {InterfaceNode} */ (list.props).properties), ['data']);
+
+  // Superclasses that aren't components are values, not types.
+  assertNodeContent(data.exports['Scroller'], {
+    type: 'interface',
+    extends: [{type: 'identifier', name: 'Mixins.Scrollable'}],
+  });
+  assert(!log.mock.calls.some(([message]) => String(message).includes('UNKNOWN TYPE')));
+  log.mockRestore();
+});
+
+describe('default exports', () => {
+  test('named default exports', async () => {
+    const loader = createTestLoader({
+      index: `
+        export default function Button(props: {label: string}) {
+          return <button>{props.label}</button>;
+        }
+      `,
+    });
+    const data = await loader('index');
+
+    assertNodeContent(data.exports['default'], {type: 'component', name: 'Button'});
+    assertNodeContent(data.exports['Button'], {type: 'component', name: 'Button'});
+  });
+
+  test('default imports', async () => {
+    const loader = createTestLoader({
+      theme: `
+        interface Theme {
+          color: string;
+        }
+
+        export default Theme;
+      `,
+      index: `
+        import Theme from 'theme';
+
+        export interface Props {
+          theme: Theme;
+        }
+      `,
+    });
+    const data = await loader('index');
+    const {properties} = /** @type {InterfaceNode} */ (data.exports['Props']);
+
+    assertNodeContent(properties['theme'], {value: {type: 'link', id: 'theme:Theme'}});
+    assert(data.links['theme:Theme'] instanceof Object);
+  });
+
+  test('re-exporting a default export by name', async () => {
+    const loader = createTestLoader({
+      button: `
+        export default function Button(props: {label: string}) {
+          return <button>{props.label}</button>;
+        }
+      `,
+      index: `
+        export {default as Button} from 'button';
+      `,
+    });
+    const data = await loader('index');
+
+    assert(!('default' in data.exports));
+    assertNodeContent(data.exports['Button'], {type: 'component', name: 'Button'});
+  });
+});
+
+test('namespaces', async () => {
+  const loader = createTestLoader({
+    index: `
+      export namespace Icons {
+        /** Props shared by every icon. */
+        export interface Props {
+          size: Size;
+        }
+
+        export type Size = 'small' | 'large';
+
+        interface Internal {}
+      }
+
+      export declare namespace Config {
+        interface Options {
+          debug: boolean;
+        }
+      }
+
+      export interface ButtonProps {
+        icon: Icons.Props;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  assertNodeContent(data.exports['Icons'], {type: 'namespace', id: 'index:Icons', name: 'Icons'});
+  const icons = /** @type {NamespaceNode} */ (data.exports['Icons']);
+  assert.deepEqual(Object.keys(icons.members), ['Props', 'Size']);
+  assertNodeContent(icons.members['Props'], {type: 'link', id: 'index:Icons.Props'});
+  assertNodeContent(data.links['index:Icons.Props'], {name: 'Props', description: 'Props shared by every icon.'});
+  assert(data.links['index:Icons.Size'] instanceof Object);
+
+  // Ambient namespaces implicitly export everything.
+  const config = /** @type {NamespaceNode} */ (data.exports['Config']);
+  assert.deepEqual(Object.keys(config.members), ['Options']);
+
+  const {properties} = /** @type {InterfaceNode} */ (data.exports['ButtonProps']);
+  assertNodeContent(properties['icon'], {value: {type: 'link', id: 'index:Icons.Props'}});
+});
+
+test('namespace members are not exports of the module', async () => {
+  const loader = createTestLoader({
+    index: `
+      export interface Props {
+        a: string;
+      }
+
+      export namespace Icons {
+        export interface Props {
+          b: string;
+        }
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  assert.deepEqual(Object.keys(data.exports), ['Props', 'Icons']);
+  assertNodeContent(data.exports['Props'], {id: 'index:Props'});
+  assert.deepEqual(Object.keys(/** @type {InterfaceNode} */ (data.exports['Props']).properties), ['a']);
+  assertNodeContent(/** @type {NamespaceNode} */ (data.exports['Icons']).members['Props'], {
+    type: 'link',
+    id: 'index:Icons.Props',
+  });
+});
+
+test('namespace exports', async () => {
+  const loader = createTestLoader({
+    utils: `
+      /** Options for formatting. */
+      export interface FormatOptions {
+        locale: string;
+      }
+
+      export type Formatter = (value: number) => string;
+    `,
+    index: `
+      export * as Utils from "utils";
+    `,
+  });
+  const data = await loader('index');
+
+  assertNodeContent(data.exports['Utils'], {type: 'namespace', id: 'index:Utils', name: 'Utils'});
+  const utils = /** @type {NamespaceNode} */ (data.exports['Utils']);
+  assert.deepEqual(Object.keys(utils.members), ['FormatOptions', 'Formatter']);
+  assertNodeContent(utils.members['FormatOptions'], {type: 'link', id: 'utils:FormatOptions'});
+  assertNodeContent(data.links['utils:FormatOptions'], {type: 'interface', description: 'Options for formatting.'});
+  assertNodeContent(data.links['utils:Formatter'], {type: 'alias', name: 'Formatter'});
+});
+
+test('function overloads', async () => {
+  const loader = createTestLoader({
+    index: `
+      /** Parse a string. */
+      export function parse(value: string): number;
+      /** Parse a list of strings. */
+      export function parse(value: string[]): number[];
+      export function parse(value: string | string[]): number | number[] {
+        return Array.isArray(value) ? value.map(Number) : Number(value);
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const parse = /** @type {FunctionNode} */ (data.exports['parse']);
+  assertNodeContent(parse, {type: 'function', name: 'parse', description: 'Parse a string.'});
+  assert.equal(parse.overloads?.length, 2);
+
+  const [first, second] = parse.overloads ?? [];
+  assertNodeContent(first.parameters[0], {name: 'value', value: {type: 'string'}});
+  assertNodeContent(second, {description: 'Parse a list of strings.'});
+  assertNodeContent(second.return, {type: 'array', elementType: {type: 'number'}});
+});
+
+test('call and construct signatures', async () => {
+  const loader = createTestLoader({
+    index: `
+      export interface Formatter {
+        /** Format a number. */
+        (value: number): string;
+        new (locale: string): Formatter;
+        locale: string;
+      }
+
+      export type Callback = {
+        (error: Error | null): void;
+      };
+    `,
+  });
+  const data = await loader('index');
+
+  const formatter = /** @type {InterfaceNode} */ (data.links['index:Formatter']);
+  assert.deepEqual(Object.keys(formatter.properties), ['locale']);
+  const [call] = formatter.callSignatures ?? [];
+  const [construct] = formatter.constructSignatures ?? [];
+  assertNodeContent(call, {type: 'function', description: 'Format a number.'});
+  assertNodeContent(call.return, {type: 'string'});
+  assertNodeContent(construct.parameters[0], {name: 'locale', value: {type: 'string'}});
+
+  const callback = /** @type {ObjectNode} */ (/** @type {AliasNode} */ (data.links['index:Callback']).value);
+  assert.deepEqual(callback.properties, {});
+  const [callbackCall] = callback.callSignatures ?? [];
+  assertNodeContent(callbackCall.return, {type: 'void'});
+});
+
+test('class members', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface Store {}
+      interface Disposable {
+        dispose(): void;
+      }
+
+      export abstract class Service implements Disposable {
+        static instances: number;
+        readonly name: string;
+
+        /**
+         * @param store The store to read from.
+         */
+        constructor(private readonly store: Store, name: string) {
+          this.name = name;
+        }
+
+        abstract start(): void;
+        static create(): void {}
+        dispose() {}
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const service = /** @type {InterfaceNode} */ (data.links['index:Service']);
+  assertNodeContent(service, {type: 'interface', abstract: true});
+  assertNodeContent(service.implements?.[0] ?? {type: 'never'}, {type: 'link', id: 'index:Disposable'});
+
+  const {properties} = service;
+  assertNodeContent(properties['instances'], {static: true, readonly: false});
+  assertNodeContent(properties['name'], {static: false, readonly: true});
+  assertNodeContent(properties['store'], {type: 'property', readonly: true, access: 'private'});
+  assertNodeContent(properties['start'], {type: 'method', abstract: true});
+  assertNodeContent(properties['create'], {type: 'method', static: true});
+  assert.deepEqual(Object.keys(properties), ['instances', 'name', 'store', 'start', 'create', 'dispose']);
+
+  const constructorSignature = service.constructorSignature ?? {type: 'never'};
+  assertNodeContent(constructorSignature, {type: 'function', name: 'constructor'});
+  const [store, name] = /** @type {import('@faulty/ts-docs-node-types').FunctionNode} */ (constructorSignature)
+    .parameters;
+  assertNodeContent(store, {name: 'store', description: 'The store to read from.'});
+  assertNodeContent(name, {name: 'name', value: {type: 'string'}});
+
+  // Class-only fields aren't set on interfaces.
+  assert(!('constructorSignature' in data.links['index:Disposable']));
+});
+
+test('accessor properties', async () => {
+  const loader = createTestLoader({
+    index: `
+      export class Slider {
+        /** The current value. */
+        get value(): number {
+          return 0;
+        }
+        /** Clamps the value to the range. */
+        set value(value: number) {}
+
+        /** Whether the slider is being dragged. */
+        get isDragging(): boolean {
+          return false;
+        }
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const {properties} = /** @type {InterfaceNode} */ (data.links['index:Slider']);
+  assertNodeContent(properties['value'], {
+    type: 'property',
+    value: {type: 'number'},
+    readonly: false,
+    description: 'The current value.',
+    accessors: {get: 'The current value.', set: 'Clamps the value to the range.'},
+  });
+  assertNodeContent(properties['isDragging'], {type: 'property', readonly: true});
+});
+
+test('tuples and readonly arrays', async () => {
+  const loader = createTestLoader({
+    index: `
+      export type Range = readonly [start: number, end?: number, ...rest: string[]];
+      export type Unnamed = [number, string?, ...boolean[]];
+      export type Names = readonly string[];
+      export type Ids = ReadonlyArray<number>;
+    `,
+  });
+  const data = await loader('index');
+
+  const range = /** @type {AliasNode} */ (data.links['index:Range']).value;
+  assertNodeContent(range, {type: 'tuple', readonly: true});
+  assert.deepEqual(/** @type {import('@faulty/ts-docs-node-types').TupleNode} */ (range).elements, [
+    {type: 'tupleElement', name: 'start', value: {type: 'number'}, optional: false, rest: false},
+    {type: 'tupleElement', name: 'end', value: {type: 'number'}, optional: true, rest: false},
+    {
+      type: 'tupleElement',
+      name: 'rest',
+      value: {type: 'array', elementType: {type: 'string'}},
+      optional: false,
+      rest: true,
+    },
+  ]);
+
+  const unnamed = /** @type {AliasNode} */ (data.links['index:Unnamed']).value;
+  assert.deepEqual(/** @type {import('@faulty/ts-docs-node-types').TupleNode} */ (unnamed).elements, [
+    {type: 'number'},
+    {type: 'tupleElement', name: null, value: {type: 'string'}, optional: true, rest: false},
+    {
+      type: 'tupleElement',
+      name: null,
+      value: {type: 'array', elementType: {type: 'boolean'}},
+      optional: false,
+      rest: true,
+    },
+  ]);
+
+  const names = /** @type {AliasNode} */ (data.links['index:Names']).value;
+  assert.deepEqual(names, {type: 'array', elementType: {type: 'string'}, readonly: true});
+  const ids = /** @type {AliasNode} */ (data.links['index:Ids']).value;
+  assert.deepEqual(ids, {type: 'array', elementType: {type: 'number'}, readonly: true});
+});
+
+test('enums are linked declarations', async () => {
+  const loader = createTestLoader({
+    index: `
+      /** Colors for a button. */
+      export enum Tone {
+        Neutral,
+        Critical,
+      }
+
+      export interface ButtonProps {
+        tone: Tone;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const {properties} = /** @type {InterfaceNode} */ (data.exports['ButtonProps']);
+  assertNodeContent(properties['tone'], {value: {type: 'link', id: 'index:Tone'}});
+  assertNodeContent(data.links['index:Tone'], {type: 'enum', name: 'Tone', description: 'Colors for a button.'});
+});
+
+test('merged interface declarations', async () => {
+  const loader = createTestLoader({
+    lib: `
+      export interface Theme {
+        color: string;
+      }
+    `,
+    index: `
+      import {Theme} from 'lib';
+
+      declare module 'lib' {
+        interface Theme {
+          brand: string;
+        }
+      }
+
+      /** Props for a button. */
+      export interface ButtonProps {
+        theme: Theme;
+      }
+      export interface ButtonProps {
+        size: number;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const {properties, description} = /** @type {InterfaceNode} */ (data.exports['ButtonProps']);
+  assert.equal(description, 'Props for a button.');
+  assert.deepEqual(Object.keys(properties), ['theme', 'size']);
+  assert.equal(properties['theme'].location?.startLine, 12);
+  assert.equal(properties['size'].location?.startLine, 15);
+
+  const theme = /** @type {InterfaceNode} */ (data.links['lib:Theme']);
+  assert.deepEqual(Object.keys(theme.properties), ['color', 'brand']);
+  assert.equal(theme.properties['color'].location?.filePath, 'lib');
+  assert.equal(theme.properties['brand'].location?.filePath, 'index');
+});
+
+test('augmentations apply to interfaces that extend the augmented declaration', async () => {
+  const lib = `
+    export interface Theme {
+      color: string;
+    }
+  `;
+  const augmentation = `
+    declare module 'lib' {
+      interface Theme {
+        brand: string;
+      }
+    }
+  `;
+
+  const sameFile = createTestLoader({
+    lib,
+    index: `
+      import {Theme} from 'lib';
+      ${augmentation}
+      export interface Props extends Theme {}
+    `,
+  });
+  const sameFileProps = /** @type {InterfaceNode} */ ((await sameFile('index')).exports['Props']);
+  assert.deepEqual(Object.keys(sameFileProps.properties), ['color', 'brand']);
+
+  // Whichever of the files is loaded first, the augmentation is known by the
+  // time the extending interface is linked.
+  for (const imports of [
+    `import {Theme} from 'lib'; import {Size} from 'aug';`,
+    `import {Size} from 'aug'; import {Theme} from 'lib';`,
+  ]) {
+    const loader = createTestLoader({
+      lib,
+      aug: `
+        ${augmentation}
+        export type Size = number;
+      `,
+      index: `
+        ${imports}
+        export interface Props extends Theme {
+          size: Size;
+        }
+      `,
+    });
+    const data = await loader('index');
+
+    const props = /** @type {InterfaceNode} */ (data.exports['Props']);
+    assert.deepEqual(Object.keys(props.properties), ['color', 'brand', 'size']);
+    assert.deepEqual(Object.keys(/** @type {InterfaceNode} */ (data.links['lib:Theme']).properties), [
+      'color',
+      'brand',
+    ]);
+  }
+});
+
+test('augmentations are applied once, without changing the loaded declarations', async () => {
+  const loader = createTestLoader({
+    lib: `
+      export interface Theme {
+        color: string;
+      }
+      export interface Brand {
+        brand: string;
+      }
+    `,
+    aug: `
+      import {Brand} from 'lib';
+      declare module 'lib' {
+        interface Theme extends Brand {}
+      }
+      export type Size = number;
+    `,
+    index: `
+      import {Theme} from 'lib';
+      import {Size} from 'aug';
+      export interface Props extends Theme {
+        size: Size;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const theme = /** @type {InterfaceNode} */ (data.links['lib:Theme']);
+  assert.deepEqual(Object.keys(theme.properties), ['color', 'brand']);
+  assertNodeContent(theme.properties['brand'], {inheritedFrom: 'lib:Brand'});
+  assert.deepEqual(Object.keys(/** @type {InterfaceNode} */ (data.links['lib:Brand']).properties), ['brand']);
+});
+
+test('applying augmentations copies the augmented declarations', () => {
+  const loader = new Loader(/** @type {any} */ ({}));
+  /** @type {InterfaceNode} */
+  const theme = {
+    type: 'interface',
+    id: 'lib:Theme',
+    name: 'Theme',
+    extends: [],
+    properties: {color: {type: 'property', name: 'color', value: {type: 'string'}, optional: false}},
+    typeParameters: [],
+  };
+  /** @type {InterfaceNode} */
+  const brand = {...theme, id: 'aug:Theme', extends: [{type: 'link', id: 'lib:Brand'}], properties: {}};
+  loader.augmentations.set('lib:Theme', new Map([['aug:Theme', brand]]));
+
+  const records = {Theme: theme};
+  const once = loader.applyAugmentations(records);
+  const twice = loader.applyAugmentations(once);
+
+  // Augmentations that only add extensions are still only applied once.
+  assert.deepEqual(/** @type {InterfaceNode} */ (twice['Theme']).extends, [{type: 'link', id: 'lib:Brand'}]);
+  assert.equal(twice['Theme'], once['Theme']);
+  assert.equal(records.Theme, theme);
+  assert.deepEqual(theme.extends, []);
+});
+
+test('typeof queries', async () => {
+  const loader = createTestLoader({
+    index: `
+      const SIZE_MAP = {
+        small: 12,
+        large: 16,
+      };
+      const defaultProps = {
+        /** Whether the button is disabled. */
+        disabled: false,
+      };
+
+      export type Sizes = keyof typeof SIZE_MAP;
+
+      export interface ButtonProps {
+        defaults: typeof defaultProps;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const sizes = /** @type {AliasNode} */ (data.links['index:Sizes']).value;
+  assert.deepEqual(sizes, {
+    type: 'union',
+    elements: [
+      {type: 'string', value: 'small'},
+      {type: 'string', value: 'large'},
+    ],
+  });
+
+  const {properties} = /** @type {InterfaceNode} */ (data.exports['ButtonProps']);
+  const defaults = properties['defaults'].value;
+  assertNodeContent(defaults, {type: 'object'});
+  assertNodeContent(/** @type {import('@faulty/ts-docs-node-types').ObjectNode} */ (defaults).properties['disabled'], {
+    type: 'property',
+    name: 'disabled',
+    value: {type: 'boolean'},
+    description: 'Whether the button is disabled.',
+  });
+});
+
+test('parameter and destructured prop defaults', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface ButtonProps {
+        size?: 'sm' | 'md';
+        /** @default 'primary' */
+        tone?: string;
+        label: string;
+      }
+
+      export function Button({size = 'md', tone = 'neutral', label}: ButtonProps) {
+        return <button>{label}</button>;
+      }
+
+      export function pad(value: string, width = 2, fill: string = getFill()) {
+        return value.padStart(width, fill);
+      }
+
+      export function move(offset = -1, options = {animate: true}, {axis} = {axis: 'x'}) {}
+    `,
+  });
+  const data = await loader('index');
+
+  const {properties} = /** @type {InterfaceNode} */ (/** @type {ComponentNode} */ (data.exports['Button']).props);
+  assertNodeContent(properties['size'], {default: "'md'"});
+  // Defaults documented on the prop itself take precedence.
+  assertNodeContent(properties['tone'], {default: "'primary'"});
+  assertNodeContent(properties['label'], {default: null});
+
+  const [, width, fill] = /** @type {FunctionNode} */ (data.exports['pad']).parameters;
+  assertNodeContent(width, {
+    name: 'width',
+    value: {type: 'number'},
+    optional: true,
+    default: '2',
+    defaultValue: {type: 'number', value: '2'},
+  });
+  assertNodeContent(fill, {value: {type: 'string'}, optional: true, default: 'getFill()', defaultValue: null});
+
+  const [offset, options, axis] = /** @type {FunctionNode} */ (data.exports['move']).parameters;
+  assertNodeContent(offset, {value: {type: 'number'}, default: '-1', defaultValue: {type: 'number', value: '-1'}});
+  // Object literal defaults don't stand in for the type of the parameter.
+  assertNodeContent(options, {value: {type: 'any'}, default: '{animate: true}', defaultValue: null});
+  assertNodeContent(axis, {value: {type: 'any'}, default: "{axis: 'x'}", defaultValue: null});
+  assert(!('undefined' in data.links));
+});
+
+test('wrapped and typed function components', async () => {
+  const loader = createTestLoader({
+    dialog: `
+      export default function Dialog(props: {open: boolean}) {
+        return <div />;
+      }
+    `,
+    index: `
+      import React, {forwardRef, memo} from 'react';
+
+      interface ButtonProps {
+        size: string;
+      }
+
+      export const Button = memo(forwardRef<HTMLButtonElement, ButtonProps>((props, ref) => <button ref={ref} />));
+      export const Card: React.FC<ButtonProps> = (props) => <div />;
+      export const Dialog = React.lazy(() => import('dialog'));
+    `,
+  });
+  const data = await loader('index');
+
+  const button = /** @type {ComponentNode} */ (data.exports['Button']);
+  assertNodeContent(button, {type: 'component', name: 'Button', ref: {type: 'identifier', name: 'HTMLButtonElement'}});
+  assert.deepEqual(Object.keys(/** @type {InterfaceNode} */ (button.props).properties), ['size']);
+
+  const card = /** @type {ComponentNode} */ (data.exports['Card']);
+  assertNodeContent(card, {type: 'component', name: 'Card'});
+  assert.deepEqual(Object.keys(/** @type {InterfaceNode} */ (card.props).properties), ['size']);
+
+  const dialog = /** @type {ComponentNode} */ (data.exports['Dialog']);
+  assertNodeContent(dialog, {type: 'component', name: 'Dialog'});
+  assert.deepEqual(Object.keys(/** @type {ObjectNode} */ (dialog.props).properties), ['open']);
+});
+
+test('hooks', async () => {
+  const loader = createTestLoader({
+    index: `
+      import {useState} from 'react';
+
+      /**
+       * Manage whether something is open.
+       * @param options Options for the initial state.
+       */
+      export function useDisclosure(options: {defaultOpen?: boolean}): {isOpen: boolean} {
+        const [isOpen] = useState(options.defaultOpen ?? false);
+        return {isOpen};
+      }
+
+      export const useToggle = () => useDisclosure({});
+
+      /** @hook */
+      export function createStore() {}
+
+      export function useFormat(value: number) {
+        return String(value);
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const disclosure = data.exports['useDisclosure'];
+  assertNodeContent(disclosure, {
+    type: 'hook',
+    name: 'useDisclosure',
+    description: 'Manage whether something is open.',
+  });
+  assertNodeContent(/** @type {FunctionNode} */ (disclosure).parameters[0], {
+    name: 'options',
+    description: 'Options for the initial state.',
+  });
+  assertNodeContent(data.exports['useToggle'], {type: 'hook', name: 'useToggle'});
+  assertNodeContent(data.exports['createStore'], {type: 'hook', name: 'createStore'});
+  // Functions that don't call any hooks are just named like them.
+  assertNodeContent(data.exports['useFormat'], {type: 'function', name: 'useFormat'});
+});
+
+test('type predicates, bigints and import types', async () => {
+  const loader = createTestLoader({
+    button: `
+      export interface ButtonProps {
+        size: string;
+      }
+    `,
+    index: `
+      export function isString(value: unknown): value is string {
+        return typeof value === 'string';
+      }
+      export function assertDefined(value: unknown): asserts value {}
+
+      export type Numbers = bigint | 10n | -1 | -2n;
+      export type Literals = 0 | 1.5 | true;
+
+      export enum Level {
+        Low = -1,
+      }
+      export const LOW = -1;
+
+      export interface Props {
+        button: import('button').ButtonProps;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  assertNodeContent(/** @type {FunctionNode} */ (data.exports['isString']).return, {
+    type: 'typePredicate',
+    asserts: false,
+    parameterName: 'value',
+    value: {type: 'string'},
+  });
+  assertNodeContent(/** @type {FunctionNode} */ (data.exports['assertDefined']).return, {
+    type: 'typePredicate',
+    asserts: true,
+    parameterName: 'value',
+    value: null,
+  });
+
+  const numbers = /** @type {AliasNode} */ (data.links['index:Numbers']).value;
+  assert.deepEqual(numbers, {
+    type: 'union',
+    elements: [
+      {type: 'bigint'},
+      {type: 'bigint', value: '10'},
+      {type: 'number', value: '-1'},
+      {type: 'bigint', value: '-2'},
+    ],
+  });
+
+  // Literal values are strings, however they were written.
+  assert.deepEqual(/** @type {AliasNode} */ (data.links['index:Literals']).value, {
+    type: 'union',
+    elements: [
+      {type: 'number', value: '0'},
+      {type: 'number', value: '1.5'},
+      {type: 'boolean', value: 'true'},
+    ],
+  });
+  const level = /** @type {import('@faulty/ts-docs-node-types').EnumNode} */ (data.links['index:Level']);
+  assertNodeContent(level.members[0], {value: '-1', valueType: {type: 'number', value: '-1'}});
+  assertNodeContent(data.exports['LOW'], {type: 'number', value: '-1'});
+
+  const {properties} = /** @type {InterfaceNode} */ (data.exports['Props']);
+  assertNodeContent(properties['button'], {value: {type: 'link', id: 'button:ButtonProps'}});
+  assertNodeContent(data.links['button:ButtonProps'], {type: 'interface', name: 'ButtonProps'});
+});
+
+test('satisfies and non-null wrappers', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface Theme {
+        primary: string;
+      }
+
+      export const theme = {primary: 'blue', accent: 'red'} satisfies Theme;
+      export const sizes = (['sm', 'md'] as const)!;
+    `,
+  });
+  const data = await loader('index');
+
+  const theme = data.exports['theme'];
+  assertNodeContent(theme, {type: 'interface', name: 'theme', satisfies: {type: 'link', id: 'index:Theme'}});
+  assert.deepEqual(Object.keys(/** @type {InterfaceNode} */ (theme).properties), ['primary', 'accent']);
+  assertNodeContent(data.links['index:Theme'], {type: 'interface', name: 'Theme'});
+
+  assertNodeContent(data.exports['sizes'], {type: 'tuple', name: 'sizes', readonly: true});
+});
+
+test('type assertions document the asserted type', async () => {
+  // \`<Type>value\` assertions can only be written in files without JSX.
+  const loader = createTestLoader({
+    'theme.ts': `
+      interface Theme {
+        primary: string;
+      }
+
+      export const theme = {primary: 'blue', accent: 'red'} as Theme;
+      export const legacy = <Theme>{primary: 'red'};
+      export const sizes = <const>['sm', 'md'];
+      export const count = <number>(value as unknown);
+    `,
+  });
+  const data = await loader('theme.ts');
+
+  for (const name of ['theme', 'legacy']) {
+    const node = /** @type {InterfaceNode} */ (data.exports[name]);
+    assertNodeContent(node, {type: 'interface', id: `theme.ts:${name}`, name});
+    assert.deepEqual(Object.keys(node.properties), ['primary']);
+  }
+  assertNodeContent(data.exports['sizes'], {type: 'tuple', name: 'sizes', readonly: true});
+  assertNodeContent(data.exports['count'], {type: 'number', name: 'count'});
+});
+
+test('instantiates generic functions, components and hooks', async () => {
+  const loader = createTestLoader({
+    index: `
+      import {useState} from 'react';
+
+      interface Item {
+        id: string;
+      }
+
+      export function useList<T, K = keyof T>(initial: T[]): {items: T[]; key: K} {
+        const [items] = useState(initial);
+        return {items, key: null};
+      }
+
+      /** Items for the list. */
+      export const useItems = useList<Item>;
+
+      interface SelectProps<T> {
+        options: T[];
+      }
+
+      export function Select<T extends object>(props: SelectProps<T>) {
+        return <div />;
+      }
+
+      export interface Picker {
+        select: typeof Select<Item>;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const useItems = /** @type {import('@faulty/ts-docs-node-types').HookNode} */ (data.exports['useItems']);
+  assertNodeContent(useItems, {type: 'hook', name: 'useItems', description: 'Items for the list.', typeParameters: []});
+  assertNodeContent(useItems.parameters[0], {value: {type: 'array', elementType: {type: 'link', id: 'index:Item'}}});
+  const {properties} = /** @type {ObjectNode} */ (useItems.return);
+  assertNodeContent(properties['items'], {value: {type: 'array', elementType: {type: 'link', id: 'index:Item'}}});
+  assertNodeContent(properties['key'], {value: {type: 'union', elements: [{type: 'string', value: 'id'}]}});
+
+  // Root declarations still show their type parameters.
+  const useList = /** @type {import('@faulty/ts-docs-node-types').HookNode} */ (data.exports['useList']);
+  assert.deepEqual(
+    useList.typeParameters.map((param) => param.name),
+    ['T', 'K'],
+  );
+
+  const {select} = /** @type {InterfaceNode} */ (data.exports['Picker']).properties;
+  const component = /** @type {import('@faulty/ts-docs-node-types').TypeOperatorNode} */ (select.value).value;
+  assertNodeContent(component, {type: 'component', name: 'Select', typeParameters: []});
+  const props = /** @type {InterfaceNode} */ (/** @type {ComponentNode} */ (component).props);
+  assertNodeContent(props.properties['options'], {
+    value: {type: 'array', elementType: {type: 'link', id: 'index:Item'}},
+  });
+});
+
+test('instantiates generic aliases used as props and extended types', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface Option {
+        label: string;
+      }
+
+      type ListProps<T> = {items: T[]};
+
+      export function OptionList(props: ListProps<Option>) {
+        return <ul />;
+      }
+
+      export function NumberList(props: ListProps<number>) {
+        return <ul />;
+      }
+
+      export interface OptionListProps extends ListProps<Option> {
+        selected?: Option;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const optionProps = /** @type {ObjectNode} */ (/** @type {ComponentNode} */ (data.exports['OptionList']).props);
+  assertNodeContent(optionProps.properties['items'], {
+    value: {type: 'array', elementType: {type: 'link', id: 'index:Option'}},
+  });
+  const numberProps = /** @type {ObjectNode} */ (/** @type {ComponentNode} */ (data.exports['NumberList']).props);
+  assertNodeContent(numberProps.properties['items'], {value: {type: 'array', elementType: {type: 'number'}}});
+
+  const {properties} = /** @type {InterfaceNode} */ (data.exports['OptionListProps']);
+  assert.deepEqual(Object.keys(properties), ['items', 'selected']);
+  assertNodeContent(properties['items'], {
+    inheritedFrom: 'index:ListProps',
+    value: {type: 'array', elementType: {type: 'link', id: 'index:Option'}},
+  });
+
+  // The declaration itself stays generic.
+  const declaration = /** @type {AliasNode} */ (data.links['index:ListProps']);
+  assert.deepEqual(
+    declaration.typeParameters.map((param) => param.name),
+    ['T'],
+  );
+  assertNodeContent(/** @type {ObjectNode} */ (declaration.value).properties['items'], {
+    value: {type: 'array', elementType: {type: 'identifier', name: 'T'}},
+  });
+});
+
+test('flattens intersections of object types', async () => {
+  const loader = createTestLoader({
+    aria: `
+      export interface AriaProps {
+        /** Label for assistive technology. */
+        'aria-label'?: string;
+      }
+    `,
+    index: `
+      import {AriaProps} from 'aria';
+
+      interface BaseProps {
+        id: string;
+        size?: number;
+      }
+
+      export type Props = BaseProps & AriaProps & {size?: 'sm' | 'md'; id: string};
+      export type Mixed = BaseProps & AriaProps & Unknown;
+    `,
+  });
+  const data = await loader('index');
+
+  const props = /** @type {ObjectNode} */ (/** @type {AliasNode} */ (data.links['index:Props']).value);
+  assertNodeContent(props, {type: 'object'});
+  assert.deepEqual(Object.keys(props.properties), ['id', 'size', 'aria-label']);
+  // Identical types aren't intersected with themselves.
+  assertNodeContent(props.properties['id'], {inheritedFrom: 'index:BaseProps', value: {type: 'string'}});
+  assertNodeContent(props.properties['aria-label'], {
+    inheritedFrom: 'aria:AriaProps',
+    description: 'Label for assistive technology.',
+  });
+  assertNodeContent(props.properties['size'], {
+    optional: true,
+    value: {
+      type: 'intersection',
+      types: [
+        {type: 'number'},
+        {
+          type: 'union',
+          elements: [
+            {type: 'string', value: 'sm'},
+            {type: 'string', value: 'md'},
+          ],
+        },
+      ],
+    },
+  });
+
+  const mixed = /** @type {AliasNode} */ (data.links['index:Mixed']).value;
+  assertNodeContent(mixed, {type: 'intersection'});
+  const [merged, unknown] = /** @type {import('@faulty/ts-docs-node-types').IntersectionNode} */ (mixed).types;
+  assert.deepEqual(Object.keys(/** @type {ObjectNode} */ (merged).properties), ['id', 'size', 'aria-label']);
+  assert.deepEqual(unknown, {type: 'identifier', name: 'Unknown'});
+});
+
+test('describes discriminated union props', async () => {
+  const loader = createTestLoader({
+    index: `
+      interface LinkProps {
+        /** Renders as an anchor. */
+        variant: 'link';
+        href: string;
+        size?: number;
+      }
+
+      type Props =
+        | LinkProps
+        | {
+            /** Renders as a button. */
+            variant: 'button';
+            onPress(): void;
+            size?: number;
+          };
+
+      export function Action({size = 2, ...props}: Props) {
+        return <a />;
+      }
+
+      export function Plain(props: {kind: string} | {kind: number}) {
+        return <a />;
+      }
+    `,
+  });
+  const data = await loader('index');
+
+  const described = /** @type {import('@faulty/ts-docs-node-types').DiscriminatedUnionNode} */ (
+    /** @type {ComponentNode} */ (data.exports['Action']).props
+  );
+  assertNodeContent(described, {type: 'discriminatedUnion', discriminant: 'variant'});
+  assert.deepEqual(Object.keys(described.properties), ['size']);
+  assertNodeContent(described.properties['size'], {default: '2', value: {type: 'number'}});
+  assert.equal(described.elements.length, 2);
+
+  const [link, button] = described.variants;
+  assert.deepEqual(link.value, {type: 'string', value: 'link'});
+  assert.equal(link.description, 'Renders as an anchor.');
+  assert.deepEqual(Object.keys(link.properties), ['href']);
+  assert.deepEqual(button.value, {type: 'string', value: 'button'});
+  assert.equal(button.description, 'Renders as a button.');
+  assert.deepEqual(Object.keys(button.properties), ['onPress']);
+
+  const plain = /** @type {ComponentNode} */ (data.exports['Plain']);
+  assert.equal(plain.props?.type, 'union');
+});
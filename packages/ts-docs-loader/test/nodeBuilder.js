@@ -20,6 +20,8 @@ export const builder = {
   bool: (value) => (value == null ? {type: 'boolean'} : {type: 'boolean', value}),
   /** @type {(elements: Node) => UnionNode} */
   union: (elements) => ({type: 'union', elements}),
+  /** @type {(name: string, value: Node, optional?: boolean) => PropertyNode} */
+  prop: (name, value, optional = false) => ({type: 'property', name, value, optional}),
   /** @type {(name: string, value: Node, typeParameters: TypeParameterNode[]) => AliasNode} */
   alias: (name, value, typeParameters = []) => ({
     type: 'alias',
@@ -113,8 +113,18 @@ describe('Transformer', () => {
       name: 'Bar',
     });
     assert(output.members.length === 2);
-    assertNodeContent(output.members[0], {name: 'A', value: null});
-    assertNodeContent(output.members[1], {name: 'B', value: null});
+    assertNodeContent(output.members[0], {
+      type: 'enumMember',
+      name: 'A',
+      value: '0',
+      valueType: {type: 'number', value: '0'},
+    });
+    assertNodeContent(output.members[1], {
+      type: 'enumMember',
+      name: 'B',
+      value: '1',
+      valueType: {type: 'number', value: '1'},
+    });
   });
 
   test('enum with numeric values', () => {
@@ -126,7 +136,7 @@ describe('Transformer', () => {
     assert(output.members.length === 3);
 
     assertNodeContent(output.members[0], {name: 'A', value: '1'});
-    assertNodeContent(output.members[1], {name: 'B', value: null});
+    assertNodeContent(output.members[1], {name: 'B', value: '2'});
     assertNodeContent(output.members[2], {name: 'C', value: '2'});
   });
 
@@ -137,8 +147,8 @@ describe('Transformer', () => {
 
     assertNodeContent(output, {type: 'enum', name: 'Bar'});
     assert(output.members.length === 2);
-    assertNodeContent(output.members[0], {name: 'A', value: 'foo'});
-    assertNodeContent(output.members[1], {name: 'B', value: 'bar'});
+    assertNodeContent(output.members[0], {name: 'A', value: 'foo', valueType: {type: 'string', value: 'foo'}});
+    assertNodeContent(output.members[1], {name: 'B', value: 'bar', valueType: {type: 'string', value: 'bar'}});
   });
 
   test('enum with mixed values', () => {
@@ -148,8 +158,32 @@ describe('Transformer', () => {
 
     assertNodeContent(output, {type: 'enum', name: 'Bar'});
     assert(output.members.length === 2);
-    assertNodeContent(output.members[0], {name: 'A', value: '1'});
-    assertNodeContent(output.members[1], {name: 'B', value: 'two'});
+    assertNodeContent(output.members[0], {name: 'A', value: '1', valueType: {type: 'number', value: '1'}});
+    assertNodeContent(output.members[1], {name: 'B', value: 'two', valueType: {type: 'string', value: 'two'}});
+  });
+
+  test('enum with computed values', () => {
+    const transformer = getTransformer();
+    const path = parseSingleExpression(
+      `export const enum Flags {
+        /** Nothing is set. */
+        None = 0,
+        A = 1 << 0,
+        B = 1 << 1,
+        AB = A | Flags.B,
+        Negative = -1,
+        Next,
+        Unknown = Math.random(),
+        AfterUnknown,
+      }`,
+      'ExportNamedDeclaration',
+    );
+    const output = transformer.processExport(ensuredPath(path.get('declaration')));
+
+    assertNodeContent(output, {type: 'enum', id: 'mem:Flags', name: 'Flags', const: true, declare: false});
+    const values = output.members.map((member) => member.value);
+    assert.deepEqual(values, ['0', '1', '2', '3', '-1', '0', null, null]);
+    assertNodeContent(output.members[0], {description: 'Nothing is set.'});
   });
 
   describe('processVariableDeclarator', () => {
@@ -174,7 +208,85 @@ describe('Transformer', () => {
 
       assertNodeContent(output, {type: 'interface', name: 'foo'});
       assertNodeContent(output.properties['a'], {type: 'property', name: 'a'});
-      assertNodeContent(output.properties['a'].value, {type: 'string', value: 'hi'});
+      // Properties of objects can be reassigned, so their types are widened.
+      assert.deepEqual(output.properties['a'].value, {type: 'string'});
+    });
+
+    test('infers widened types for literals', () => {
+      const transformer = getTransformer();
+      const path = parseSingleExpression(`let foo = ['a', 'b', 1];`, 'VariableDeclarator');
+      const output = transformer.processExport(path);
+
+      assertNodeContent(output, {type: 'array', name: 'foo'});
+      assert.deepEqual(output.elementType, {type: 'union', elements: [{type: 'string'}, {type: 'number'}]});
+
+      const template = parseSingleExpression('let bar = `size-${foo}`;', 'VariableDeclarator');
+      assertNodeContent(transformer.processExport(template), {type: 'string', name: 'bar', value: undefined});
+    });
+
+    test('keeps literal types with as const', () => {
+      const transformer = getTransformer();
+      const path = parseSingleExpression(
+        `const foo = {variants: ['primary', 'secondary'], size: 'small'} as const;`,
+        'VariableDeclarator',
+      );
+      const output = transformer.processExport(path);
+
+      assertNodeContent(output, {type: 'interface', name: 'foo'});
+      assertNodeContent(output.properties['variants'], {readonly: true});
+      assert.deepEqual(output.properties['variants'].value, {
+        type: 'tuple',
+        elements: [
+          {type: 'string', value: 'primary'},
+          {type: 'string', value: 'secondary'},
+        ],
+        readonly: true,
+      });
+      assertNodeContent(output.properties['size'].value, {type: 'string', value: 'small'});
+    });
+
+    test('infers signed numeric literals', () => {
+      const transformer = getTransformer();
+      const negative = parseSingleExpression('const foo = -1;', 'VariableDeclarator');
+      assertNodeContent(transformer.processExport(negative), {type: 'number', name: 'foo', value: '-1'});
+
+      const positive = parseSingleExpression('const bar = +2;', 'VariableDeclarator');
+      assertNodeContent(transformer.processExport(positive), {type: 'number', name: 'bar', value: '2'});
+
+      const list = parseSingleExpression('const baz = [-1, 2];', 'VariableDeclarator');
+      assertNodeContent(transformer.processExport(list), {type: 'array', elementType: {type: 'number'}});
+
+      const frozen = parseSingleExpression('const qux = {n: -5} as const;', 'VariableDeclarator');
+      const output = transformer.processExport(frozen);
+      assert.deepEqual(output.properties['n'].value, {type: 'number', value: '-5'});
+    });
+
+    test('infers nested object literals as object types', () => {
+      const transformer = getTransformer();
+      const path = parseSingleExpression(
+        `const theme = {colors: {primary: 'red'}} satisfies Record<string, unknown>;`,
+        'VariableDeclarator',
+      );
+      const output = transformer.processExport(path);
+
+      assertNodeContent(output, {type: 'interface', name: 'theme'});
+      assertNodeContent(output.properties['colors'].value, {type: 'object'});
+      const {properties} = output.properties['colors'].value;
+      assertNodeContent(properties['primary'], {type: 'property', name: 'primary', value: {type: 'string'}});
+
+      const frozen = parseSingleExpression(`const sizes = {small: {width: 1}} as const;`, 'VariableDeclarator');
+      const {small} = transformer.processExport(frozen).properties;
+      assertNodeContent(small, {readonly: true});
+      assertNodeContent(small.value.properties['width'], {readonly: true, value: {type: 'number', value: '1'}});
+    });
+
+    test('infers the return type of arrow functions returning literals', () => {
+      const transformer = getTransformer();
+      const path = parseSingleExpression(`const getSizes = () => ['small', 'large'];`, 'VariableDeclarator');
+
+      const output = transformer.processExport(path);
+      assertNodeContent(output, {type: 'function', name: 'getSizes'});
+      assertNodeContent(output.return, {type: 'array', elementType: {type: 'string'}});
     });
   });
 });
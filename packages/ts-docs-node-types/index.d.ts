@@ -22,6 +22,8 @@ export interface NodeDocs {
   return?: string | null;
   // TODO: Only documented for function nodes?
   params?: Record<string, string>;
+  /** Set by the `@hook` tag to document a function as a hook regardless of its name. */
+  hook?: boolean;
 }
 
 export interface NodeLocationInfo {
@@ -34,6 +36,8 @@ export interface NodeBase extends NodeDocs {
   id?: string;
   name?: string;
   location?: NodeLocationInfo;
+  /** For values checked with `satisfies`, the type that they satisfy. */
+  satisfies?: Node;
 }
 
 export interface AnyNode extends NodeBase {
@@ -56,6 +60,12 @@ export interface StringNode extends NodeBase {
 }
 export interface NumberNode extends NodeBase {
   type: 'number';
+  /** The value of a numeric literal, formatted as a string like `'-1'`. */
+  value?: string;
+}
+export interface BigIntNode extends NodeBase {
+  type: 'bigint';
+  /** The digits of a bigint literal, without the `n` suffix. */
   value?: string;
 }
 export interface NullNode extends NodeBase {
@@ -77,11 +87,17 @@ export interface NeverNode extends NodeBase {
 export interface ArrayNode extends NodeBase {
   type: 'array';
   elementType: Node;
+  /** True for `readonly T[]` and `ReadonlyArray<T>`. */
+  readonly?: boolean;
 }
 
 export interface ObjectNode extends NodeBase {
   type: 'object';
   properties: Record<string, PropertyNode | MethodNode>;
+  /** Signatures for calling the object as a function, like `(value: number): string`. */
+  callSignatures?: FunctionNode[];
+  /** Signatures for constructing the object with `new`, like `new (value: number): Foo`. */
+  constructSignatures?: FunctionNode[];
 }
 
 export interface UnionNode extends NodeBase {
@@ -94,9 +110,48 @@ export interface IntersectionNode extends NodeBase {
   types: Node[];
 }
 
+/** One member of a discriminated union, identified by its discriminant value. */
+export interface DiscriminatedUnionVariant {
+  /** The literal type of the discriminant property for this variant. */
+  value: Node;
+  description: string | null;
+  /** Properties that only this variant has, or that differ from the other variants. */
+  properties: Record<string, PropertyNode | MethodNode>;
+}
+
+/**
+ * A union of object types that can be told apart by the literal value of a
+ * shared property, like `{variant: 'link'; href: string} | {variant: 'button'}`.
+ */
+export interface DiscriminatedUnionNode extends NodeBase {
+  type: 'discriminatedUnion';
+  /** The name of the property that identifies each variant. */
+  discriminant: string;
+  /** Properties that every variant has with the same type. */
+  properties: Record<string, PropertyNode | MethodNode>;
+  variants: DiscriminatedUnionVariant[];
+  /** The members of the original union. */
+  elements: Node[];
+}
+
 export interface TupleNode extends NodeBase {
   type: 'tuple';
   elements: Node[];
+  /** True for `readonly [A, B]`. */
+  readonly?: boolean;
+}
+
+/**
+ * An element of a tuple that has a name, is optional, or is a rest element,
+ * like `start: number`, `string?` or `...rest: string[]`. Elements without any
+ * of these are represented directly by their type.
+ */
+export interface TupleElementNode extends NodeBase {
+  type: 'tupleElement';
+  name: string | null;
+  value: Node;
+  optional: boolean;
+  rest: boolean;
 }
 
 export interface TemplateNode extends NodeBase {
@@ -117,18 +172,31 @@ export interface ParameterNode extends NodeBase {
   value: Node;
   optional: boolean;
   rest: boolean;
+  /** The value of a literal default, like `'md'` in `size = 'md'`. `default` holds the source text of any default. */
+  defaultValue?: Node | null;
 }
 
 export interface EnumNode extends NodeBase {
   type: 'enum';
+  id: string;
   name: string;
   members: EnumMemberNode[];
+  /** Whether this is a `const enum`. */
+  const: boolean;
+  /** Whether this is an ambient `declare enum`. */
+  declare: boolean;
 }
 
 export interface EnumMemberNode extends NodeBase {
-  type: 'enumMmeber';
+  type: 'enumMember';
   name: string;
-  value?: Node;
+  /**
+   * The computed value of the member, or null if it can't be determined
+   * statically. Numbers are given as strings too, like `'1'`.
+   */
+  value: string | null;
+  /** The computed value of the member as a literal type, telling numbers and strings apart. */
+  valueType: NumberNode | StringNode | null;
 }
 
 export interface InterfaceNode extends NodeBase {
@@ -138,6 +206,14 @@ export interface InterfaceNode extends NodeBase {
   extends: Node[];
   properties: Record<string, PropertyNode | MethodNode>;
   typeParameters: TypeParameterNode[];
+  callSignatures?: FunctionNode[];
+  constructSignatures?: FunctionNode[];
+  /** Interfaces implemented by a class. Only set for classes. */
+  implements?: Node[];
+  /** The signature of a class's constructor, or null if it doesn't declare one. Only set for classes. */
+  constructorSignature?: FunctionNode | null;
+  /** Whether a class is declared `abstract`. Only set for classes. */
+  abstract?: boolean;
 }
 
 export interface InheritableNode {
@@ -150,6 +226,16 @@ export interface PropertyNode extends NodeBase, InheritableNode {
   name: string;
   value: Node;
   optional?: boolean;
+  readonly?: boolean;
+  /** Whether a class property is `static`. */
+  static?: boolean;
+  /** Whether a class property is `abstract`. */
+  abstract?: boolean;
+  /**
+   * For properties declared with `get` and `set` accessors, the description
+   * of each accessor that was declared, keyed by its kind.
+   */
+  accessors?: {get?: string | null; set?: string | null};
   indexType?: Node;
 }
 
@@ -158,6 +244,11 @@ export interface MethodNode extends NodeBase, InheritableNode {
   name: string;
   value: FunctionNode;
   optional?: boolean;
+  readonly?: boolean;
+  /** Whether a class method is `static`. */
+  static?: boolean;
+  /** Whether a class method is `abstract`. */
+  abstract?: boolean;
 }
 
 export interface FunctionNode extends NodeBase {
@@ -167,6 +258,24 @@ export interface FunctionNode extends NodeBase {
   parameters: ParameterNode[];
   return: Node;
   typeParameters: TypeParameterNode[];
+  /**
+   * Each of the overload signatures of the function, if it has any. The
+   * function's own signature is the first overload.
+   */
+  overloads?: FunctionNode[];
+}
+
+/**
+ * A custom React hook, like `useDisclosure(options)`. Hooks have the same
+ * shape as functions, but are documented separately from other utilities.
+ */
+export interface HookNode extends NodeBase {
+  type: 'hook';
+  id?: string;
+  name?: string;
+  parameters: ParameterNode[];
+  return: Node;
+  typeParameters: TypeParameterNode[];
 }
 
 export interface ComponentNode extends NodeBase {
@@ -176,6 +285,8 @@ export interface ComponentNode extends NodeBase {
   props: Node | null;
   typeParameters: TypeParameterNode[];
   ref: Node | null;
+  /** Default values for props as written in the source, keyed by prop name. */
+  defaultProps?: Record<string, string>;
 }
 
 export interface ApplicationNode extends NodeBase {
@@ -223,6 +334,13 @@ export interface ConditionalNode extends NodeBase {
   extendsType: Node;
   trueType: Node;
   falseType: Node;
+  /** True when the check type is a naked type parameter, which distributes over unions. */
+  distributive?: boolean;
+}
+
+export interface InferNode extends NodeBase {
+  type: 'infer';
+  typeParameter: TypeParameterNode;
 }
 
 export interface IndexedAccessNode extends NodeBase {
@@ -231,6 +349,39 @@ export interface IndexedAccessNode extends NodeBase {
   indexType: Node;
 }
 
+export interface MappedNode extends NodeBase {
+  type: 'mapped';
+  /** The key being mapped over, with the set of keys as its constraint. */
+  typeParameter: TypeParameterNode;
+  /** The `as` clause used to remap keys, if present. */
+  nameType: Node | null;
+  value: Node | null;
+  /** `+` when the modifier is added (`?` or `+?`), `-` when removed (`-?`). */
+  optional: '+' | '-' | null;
+  readonly: '+' | '-' | null;
+}
+
+export interface NamespaceNode extends NodeBase {
+  type: 'namespace';
+  id: string;
+  name: string;
+  /** Exported declarations of the namespace, keyed by their unqualified name. */
+  members: Record<string, Node>;
+}
+
+/**
+ * The return type of a type guard or assertion function, like `value is string`,
+ * `asserts value is string`, or `asserts value`.
+ */
+export interface TypePredicateNode extends NodeBase {
+  type: 'typePredicate';
+  asserts: boolean;
+  /** The name of the parameter being checked, or `this`. */
+  parameterName: string;
+  /** The type the parameter is narrowed to, or null for `asserts value`. */
+  value: Node | null;
+}
+
 export interface LinkNode extends NodeBase {
   type: 'link';
   id: string;
@@ -242,6 +393,7 @@ export interface LinkNode extends NodeBase {
  */
 export type KeywordNode =
   | AnyNode
+  | BigIntNode
   | BooleanNode
   | NeverNode
   | NullNode
@@ -259,16 +411,24 @@ export type Node =
   | AnyNode
   | ApplicationNode
   | ArrayNode
+  | BigIntNode
   | BooleanNode
   | ComponentNode
   | ConditionalNode
+  | DiscriminatedUnionNode
+  | EnumMemberNode
+  | EnumNode
   | FunctionNode
+  | HookNode
   | IdentifierNode
   | IndexedAccessNode
+  | InferNode
   | InterfaceNode
   | IntersectionNode
   | KeyofNode
+  | MappedNode
   | MethodNode
+  | NamespaceNode
   | NeverNode
   | NullNode
   | NumberNode
@@ -280,9 +440,11 @@ export type Node =
   | SymbolNode
   | TemplateNode
   | ThisNode
+  | TupleElementNode
   | TupleNode
   | TypeOperatorNode
   | TypeParameterNode
+  | TypePredicateNode
   | UndefinedNode
   | UnionNode
   | UnknownNode
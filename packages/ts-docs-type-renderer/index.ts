@@ -4,17 +4,24 @@ import {
   AliasNode,
   ApplicationNode,
   ArrayNode,
+  BigIntNode,
   BooleanNode,
   ComponentNode,
   ConditionalNode,
+  EnumMemberNode,
+  EnumNode,
   FunctionNode,
+  HookNode,
   IdentifierNode,
   IndexedAccessNode,
+  InferNode,
   InterfaceNode,
   IntersectionNode,
   KeywordNode,
   LinkNode,
+  MappedNode,
   MethodNode,
+  NamespaceNode,
   NumberNode,
   ObjectNode,
   ParameterNode,
@@ -22,10 +29,12 @@ import {
   StringNode,
   SymbolNode,
   TemplateNode,
+  TupleElementNode,
   TupleNode,
   Node,
   TypeOperatorNode,
   TypeParameterNode,
+  TypePredicateNode,
   UnionNode,
 } from '@faulty/ts-docs-node-types';
 
@@ -147,13 +156,20 @@ export class TypeRenderer {
       case 'boolean':
         if (type.value) return this.renderBooleanLiteral(type);
         return this.renderKeyword(type);
+      case 'bigint':
+        if (type.value) return this.renderBigIntLiteral(type);
+        return this.renderKeyword(type);
       case 'union':
         return this.renderUnion(type);
       case 'intersection':
         return this.renderIntersection(type);
+      case 'discriminatedUnion':
+        // Inline, the variants read best as the union they were written as.
+        return this.renderUnion({type: 'union', elements: type.elements});
       case 'application':
         return this.renderTypeApplication(type);
       case 'function':
+      case 'hook':
         return this.renderFunction(type);
       case 'parameter':
         return this.renderParameter(type);
@@ -170,6 +186,8 @@ export class TypeRenderer {
         return this.renderArray(type);
       case 'tuple':
         return this.renderTuple(type);
+      case 'tupleElement':
+        return this.renderTupleElement(type);
       case 'typeParameter':
         return this.renderTypeParameter(type);
       case 'component':
@@ -178,12 +196,24 @@ export class TypeRenderer {
         return this.renderConditional(type);
       case 'indexedAccess':
         return this.renderIndexedAccess(type);
+      case 'mapped':
+        return this.renderMapped(type);
+      case 'infer':
+        return this.renderInfer(type);
+      case 'enum':
+        return this.renderEnum(type);
+      case 'enumMember':
+        return this.renderEnumMember(type);
+      case 'namespace':
+        return this.renderNamespace(type);
       case 'typeOperator':
         return this.renderTypeOperator(type);
       case 'keyof':
         return this.renderTypeOperator({type: 'typeOperator', operator: 'keyof', value: type.keyof});
       case 'template':
         return this.renderTemplateLiteral(type);
+      case 'typePredicate':
+        return this.renderTypePredicate(type);
       default:
         console.warn('no render component for TYPE', type);
         return n('unknown', []);
@@ -196,6 +226,7 @@ export class TypeRenderer {
   renderBooleanLiteral = (type: BooleanNode) => n('booleanLiteral', type.value!);
   renderNumberLiteral = (type: NumberNode) => n('numberLiteral', type.value!);
   renderStringLiteral = (type: StringNode) => n('stringLiteral', `'${type.value!}'`);
+  renderBigIntLiteral = (type: BigIntNode) => n('bigintLiteral', `${type.value!}n`);
 
   renderTypeList(types: Node[], joiner: Element): Element[] {
     const elements: Element[] = [];
@@ -256,13 +287,13 @@ export class TypeRenderer {
     return n('parameter', [type.rest ? p('...') : null, id(type.name), type.optional ? p('?') : null, ...value]);
   }
 
-  renderFunction(type: FunctionNode) {
+  renderFunction(type: FunctionNode | HookNode) {
     const {name, parameters, return: returnType, typeParameters} = type;
     const requiresParens = this.getOption('requireFunctionParens');
 
     const anonymous = name == null;
 
-    return n('function', [
+    return n(type.type, [
       requiresParens ? p('(') : null,
       !anonymous ? id(name) : null,
       ...this.renderTypeParameters(typeParameters),
@@ -293,17 +324,46 @@ export class TypeRenderer {
   }
 
   renderArray(type: ArrayNode) {
-    return n('array', [this.render(type.elementType), p('[]')]);
+    return n('array', [type.readonly ? k('readonly ') : null, this.render(type.elementType), p('[]')]);
   }
 
   renderTuple(type: TupleNode) {
-    return n('tuple', [p('['), ...this.renderTypeList(type.elements, p(', ')), p(']')]);
+    return n('tuple', [
+      type.readonly ? k('readonly ') : null,
+      p('['),
+      ...this.renderTypeList(type.elements, p(', ')),
+      p(']'),
+    ]);
+  }
+
+  renderTupleElement(type: TupleElementNode) {
+    const rest = type.rest ? p('...') : null;
+    if (type.name == null) {
+      return n('tupleElement', [rest, this.render(type.value), type.optional ? p('?') : null]);
+    }
+
+    return n('tupleElement', [
+      rest,
+      id(type.name),
+      type.optional ? p('?') : null,
+      p(':\u00A0'),
+      this.render(type.value),
+    ]);
   }
 
   renderTypeOperator(type: TypeOperatorNode) {
     return n('typeOperator', [k(`${type.operator} `), this.render(type.value)]);
   }
 
+  renderTypePredicate(type: TypePredicateNode) {
+    const {asserts, parameterName, value} = type;
+    return n('typePredicate', [
+      asserts ? k('asserts ') : null,
+      parameterName === 'this' ? k('this') : id(parameterName),
+      ...(value != null ? [k(' is '), this.render(value)] : []),
+    ]);
+  }
+
   renderConditional(type: ConditionalNode) {
     return n('conditionalType', [
       this.render(type.checkType),
@@ -316,10 +376,37 @@ export class TypeRenderer {
     ]);
   }
 
+  renderInfer(type: InferNode) {
+    const {name, constraint} = type.typeParameter;
+    const extendsClause = constraint != null ? [k(' extends '), this.render(constraint)] : [];
+    return n('infer', [k('infer '), id(name), ...extendsClause]);
+  }
+
   renderIndexedAccess(type: IndexedAccessNode) {
     return n('indexedAccess', [this.render(type.objectType), p('['), this.render(type.indexType), p(']')]);
   }
 
+  renderMapped(type: MappedNode) {
+    const {typeParameter, nameType, value} = type;
+    const readonly = type.readonly != null ? [k(type.readonly === '-' ? '-readonly ' : 'readonly ')] : [];
+    const optional = type.optional != null ? p(type.optional === '-' ? '-?: ' : '?: ') : p(': ');
+    const remap = nameType != null ? [k(' as '), this.render(nameType)] : [];
+
+    return n('mapped', [
+      p('{'),
+      ...readonly,
+      p('['),
+      id(typeParameter.name),
+      k(' in '),
+      typeParameter.constraint != null ? this.render(typeParameter.constraint) : k('never'),
+      ...remap,
+      p(']'),
+      optional,
+      value != null ? this.render(value) : k('any'),
+      p('}'),
+    ]);
+  }
+
   renderTemplateLiteral(type: TemplateNode) {
     const elements = type.elements.flatMap((element) => {
       if (element.type === 'string' && element.value != null) {
@@ -341,13 +428,43 @@ export class TypeRenderer {
     const ident = isComplexIdent ? n('stringLiteral', `'${type.name}'`) : n('identifier', type.name);
     const propName = isIndexSignature ? [p('['), ident, p(':'), this.render(type.indexType!), p(']')] : [ident];
 
-    return [...propName, p(type.optional ? '?: ' : ': '), this.render(type.value)];
+    const modifiers = type.readonly ? [k('readonly ')] : [];
+
+    return [...modifiers, ...propName, p(type.optional ? '?: ' : ': '), this.render(type.value)];
+  }
+
+  renderEnum(type: EnumNode) {
+    // Like interfaces, enums are only referenced by name when inline.
+    return this.renderIdentifier({...type, type: 'identifier'});
+  }
+
+  renderEnumMember(type: EnumMemberNode) {
+    return n('enumMember', [id(type.name), ...(type.valueType != null ? [p(' = '), this.render(type.valueType)] : [])]);
+  }
+
+  renderNamespace(type: NamespaceNode) {
+    // Like interfaces, namespaces are only referenced by name when inline.
+    return this.renderIdentifier({...type, type: 'identifier'});
+  }
+
+  renderSignature(type: FunctionNode, construct: boolean): Element[] {
+    return [
+      ...(construct ? [k('new ')] : []),
+      ...this.renderTypeParameters(type.typeParameters),
+      p('('),
+      ...this.renderTypeList(type.parameters, p(', ')),
+      p('): '),
+      this.render(type.return),
+    ];
   }
 
   renderObject(type: ObjectNode) {
-    const properties = Object.values(type.properties).map((prop, i, arr) =>
-      n('property', [...this.renderPropertyOrMethod(prop), i < arr.length - 1 ? p(', ') : null]),
-    );
+    const members = [
+      ...(type.callSignatures ?? []).map((signature) => this.renderSignature(signature, false)),
+      ...(type.constructSignatures ?? []).map((signature) => this.renderSignature(signature, true)),
+      ...Object.values(type.properties).map((prop) => this.renderPropertyOrMethod(prop)),
+    ];
+    const properties = members.map((member, i, arr) => n('property', [...member, i < arr.length - 1 ? p(', ') : null]));
     return n('object', [p('{'), ...properties, p('}')]);
   }
 
@@ -365,7 +482,9 @@ export class TypeRenderer {
       ),
     ) as Record<string, PropertyNode | MethodNode>;
 
-    return this.renderObject({...type, properties, type: 'object'});
+    // Class-only details, like the constructor, aren't part of the instance type.
+    const {callSignatures, constructSignatures, description} = type;
+    return this.renderObject({type: 'object', properties, callSignatures, constructSignatures, description});
   }
 
   renderComponent(type: ComponentNode) {